@@ -135,6 +135,7 @@ declare type ASTElement = {
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
+  fragment?: true;
   once?: true;
   onceProcessed?: boolean;
   wrapData?: (code: string) => string;
@@ -39,7 +39,8 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
+  $invalidate: (key: string) => void;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -67,7 +68,11 @@ declare interface Component {
   _isBeingDestroyed: boolean;
   _vnode: ?VNode; // self root node
   _hasHookEvent: boolean;
+  _hasWildcardEvent: boolean;
   _provided: ?Object;
+  _providedWatcher: ?Watcher;
+  _setupState: ?Object;
+  _pendingRender: number; // pending async setup() / asyncData()
 
   // private methods
 
@@ -8,7 +8,28 @@ declare interface GlobalAPI {
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
+  observable: <T>(obj: T) => T;
+  ref: (value: any) => Object;
+  isRef: (value: any) => boolean;
+  computed: (getterOrOptions: Function | Object) => Object;
+  watch: (source: any, cb: Function, options?: Object) => Function;
+  watchEffect: (fn: Function) => Function;
+  readonly: <T>(obj: T) => T;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
   use: (plugin: Function | Object) => void;
+  unuse: (plugin: Function | Object) => void;
+  createApp: () => Class<Component>;
+  resetAsyncComponent: (factory: Function) => void;
   mixin: (mixin: Object) => void;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
 
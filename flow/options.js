@@ -23,7 +23,8 @@ declare type ComponentOptions = {
     [key: string]: Function | {
       get?: Function;
       set?: Function;
-      cache?: boolean
+      cache?: boolean;
+      equals?: (a: any, b: any) => boolean
     }
   };
   methods?: { [key: string]: Function };
@@ -48,6 +49,8 @@ declare type ComponentOptions = {
   beforeDestroy?: Function;
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
+  renderTracked?: (e: Object) => void;
+  renderTriggered?: (e: Object) => void;
 
   // assets
   directives?: { [key: string]: Object };
@@ -57,7 +60,14 @@ declare type ComponentOptions = {
 
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
-  inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
+  inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any, readonly?: boolean, reactive?: boolean }} | Array<string>;
+
+  // composition
+  setup?: (props: Object, context: Object) => ?Object | Function | Promise<any>;
+  asyncData?: (vm: Component) => ?Object | Promise<?Object>;
+
+  // custom events
+  emits?: Array<string> | { [key: string]: ?Function };
 
   // component v-model customization
   model?: {
@@ -73,6 +83,9 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  errorBoundary?: boolean;
+  suspense?: boolean;
+  config?: RootConfig;
 
   // private
   _isComponent?: true;
@@ -87,9 +100,24 @@ declare type ComponentOptions = {
   _refElm: ?Node;
 };
 
+// config that a root instance applies to its whole tree
+declare type RootConfig = {
+  errorHandler?: ?(err: Error, vm: Component, info: string) => void;
+  warnHandler?: ?(msg: string, vm: Component, trace: string) => void;
+  ignoredElements?: Array<string | RegExp>;
+  keyCodes?: { [key: string]: number | Array<number> };
+};
+
 declare type PropOptions = {
   type: Function | Array<Function> | null;
   default: any;
   required: ?boolean;
   validator: ?Function;
+  readonly: ?boolean;
+  coerce: ?Function;
+  oneOf: ?Array<any>;
+  instanceOf: ?Function;
+  arrayOf: ?Object | Function | Array<Function>;
+  objectOf: ?Object | Function | Array<Function>;
+  shape: ?{ [key: string]: Object | Function | Array<Function> };
 }
@@ -16,6 +16,15 @@ declare type MountedComponentVNode = {
   data: VNodeData;
 };
 
+declare type VNodePortal = {
+  to: string | Node | null;
+  disabled: boolean;
+  offscreen?: boolean; // content of a pending <suspense>
+  target?: ?Node; // resolved target, null when rendered in place
+  start?: Node; // anchors of the content inside the target
+  anchor?: Node;
+};
+
 // interface for vnodes in update modules
 declare type VNodeWithData = {
   tag: string;
@@ -36,6 +45,7 @@ declare interface VNodeData {
   key?: string | number;
   slot?: string;
   ref?: string;
+  refInFor?: boolean;
   is?: string;
   pre?: boolean;
   tag?: string;
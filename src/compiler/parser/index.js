@@ -172,47 +172,31 @@ export function parse (
       ////////////////// 上面的代码是对单个 AST 的构造 //////////////////
 
       ////////////////// 下面的代码是对整个 AST 树的管理和维护 //////////////////
-      function checkRootConstraints (el) {
-        if (process.env.NODE_ENV !== 'production') {
-          if (el.tag === 'slot' || el.tag === 'template') {
-            warnOnce(
-              `Cannot use <${el.tag}> as component root element because it may ` +
-              'contain multiple nodes.'
-            )
-          }
-          if (el.attrsMap.hasOwnProperty('v-for')) {
-            warnOnce(
-              'Cannot use v-for on stateful component root element because ' +
-              'it renders multiple elements.'
-            )
-          }
-        }
-      }
-
       // tree management
       if (!root) {
         // 如果 root 为 undefined 的话，说明当前处理的就是根节点
         // 所以将 element 直接赋值给 root
         root = element
-        // 检查这个根节点满不满足规范
-        checkRootConstraints(root)
       } else if (!stack.length) {
         // 如果存在 root 节点，并且 stack 栈数组为空的话，说明模板存在多个根节点
-        // 多个根节点的话，如果根节点上面有 v-if, v-else-if and v-else 来确保某一个特定时刻，只有一个根节点的话，
-        // 也是可以被允许的。而如果没有 v-if, v-else-if and v-else 的话，则会打印出警告
         // allow root elements with v-if, v-else-if and v-else
-        if (root.if && (element.elseif || element.else)) {
-          checkRootConstraints(element)
+        if (!root.fragment && root.if && (element.elseif || element.else)) {
+          // 通过 v-if, v-else-if and v-else 保证某一时刻只有一个根节点，这种情况不需要片段
           addIfCondition(root, {
             exp: element.elseif,
             block: element
           })
-        } else if (process.env.NODE_ENV !== 'production') {
-          warnOnce(
-            `Component template should contain exactly one root element. ` +
-            `If you are using v-if on multiple elements, ` +
-            `use v-else-if to chain them instead.`
-          )
+        } else {
+          // 多个根节点会被包裹在一个 <template> 中，组件渲染为一个片段（fragment）
+          if (!root.fragment) {
+            root = createFragmentRoot(root)
+          }
+          if (element.elseif || element.else) {
+            processIfConditions(element, root)
+          } else {
+            root.children.push(element)
+            element.parent = root
+          }
         }
       }
       if (currentParent && !element.forbidden) {
@@ -428,6 +412,18 @@ function processIf (el) {
   }
 }
 
+/**
+ * Wrap the root element of a template with multiple root elements
+ * in a <template>, which renders its children as a fragment.
+ */
+function createFragmentRoot (el: ASTElement): ASTElement {
+  const fragment = createASTElement('template', [], undefined)
+  fragment.fragment = true
+  fragment.children.push(el)
+  el.parent = fragment
+  return fragment
+}
+
 function processIfConditions (el, parent) {
   const prev = findPrevElement(parent.children)
   if (prev && prev.if) {
@@ -0,0 +1,76 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+
+// 取出插槽内容中唯一的元素节点（过滤掉空白文本节点）
+function getSingleChild (children: ?VNode | ?Array<VNode>, vm: Component): ?VNode {
+  if (!children) {
+    return
+  }
+  if (!Array.isArray(children)) {
+    return children
+  }
+  children = children.filter((c: VNode) => c.tag || isAsyncPlaceholder(c))
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn('<error-boundary> can only be used on a single element.', vm.$parent)
+  }
+  return children[0]
+}
+
+/**
+ * <error-boundary> catches errors thrown in its subtree (render, lifecycle
+ * hooks, watchers and event handlers) and renders its `fallback` slot in
+ * place of the subtree until `reset()` is called.
+ */
+export default {
+  name: 'error-boundary',
+  // 和 keep-alive 一样是抽象组件，不会渲染成 DOM 元素，也不会出现在父组件链中，
+  // handleError 会沿着 $options.parent 找到它的 errorCaptured 钩子
+  abstract: true,
+  // 服务端渲染时，render.js 根据这个标识缓冲它的输出，出错时改为输出备用内容
+  errorBoundary: true,
+  emits: ['error'],
+
+  data () {
+    return {
+      error: null,
+      info: ''
+    }
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    // 备用内容自身出错时交给外层处理，避免出错后无法恢复
+    if (this._showingFallback) {
+      return
+    }
+    // 在重新渲染之前，子树中可能接连出现多个错误，只保留第一个
+    if (this.error === null) {
+      this.error = err
+      this.info = info
+      this.$emit('error', err, vm, info)
+    }
+    return false
+  },
+
+  methods: {
+    reset () {
+      this.error = null
+      this.info = ''
+    }
+  },
+
+  render () {
+    this._showingFallback = this.error !== null
+    if (!this._showingFallback) {
+      return getSingleChild(this.$slots.default, this)
+    }
+    const fallback = this.$scopedSlots.fallback
+    return getSingleChild(
+      fallback
+        ? fallback({ error: this.error, info: this.info, reset: this.reset })
+        : this.$slots.fallback,
+      this
+    )
+  }
+}
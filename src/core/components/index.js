@@ -1,5 +1,11 @@
 import KeepAlive from './keep-alive'
+import ErrorBoundary from './error-boundary'
+import Portal from './portal'
+import Suspense from './suspense'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  ErrorBoundary,
+  Portal,
+  Suspense
 }
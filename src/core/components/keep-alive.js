@@ -4,6 +4,7 @@ import { isRegExp, remove } from 'shared/util'
 import { getFirstComponentChild } from 'core/vdom/helpers/index'
 
 type VNodeCache = { [key: string]: ?VNode };
+type CacheTimestamps = { [key: string]: number };
 
 function getComponentName (opts: ?VNodeComponentOptions): ?string {
   return opts && (opts.Ctor.options.name || opts.tag)
@@ -21,9 +22,17 @@ function matches (pattern: string | RegExp | Array<string>, name: string): boole
   return false
 }
 
+// 默认使用 vnode 的 key，没有 key 的话使用组件构造函数的 cid 和标签名
+function getDefaultCacheKey (vnode: VNode): string {
+  const componentOptions: any = vnode.componentOptions
+  return vnode.key == null
+    ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
+    : String(vnode.key)
+}
+
 // 用于移除 cache 中不满足 filter 条件的 vnode
-function pruneCache (keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance
+function pruneCache (keepAliveInstance: any, filter: Function, reason: string) {
+  const { cache } = keepAliveInstance
   // 遍历 cache 对象中已经缓存的 vnode
   for (const key in cache) {
     // 获取当前遍历的 vnode
@@ -34,7 +43,7 @@ function pruneCache (keepAliveInstance: any, filter: Function) {
       const name: ?string = getComponentName(cachedNode.componentOptions)
       // 如果组件名称不满足 filter 条件的话，则调用 pruneCacheEntry 方法将当前遍历的 vnode 移除
       if (name && !filter(name)) {
-        pruneCacheEntry(cache, key, keys, _vnode)
+        evictCacheEntry(keepAliveInstance, key, reason)
       }
     }
   }
@@ -53,9 +62,15 @@ function pruneCacheEntry (
 ) {
   // 使用 key 从 cache 中获取缓存的指定 vnode
   const cached = cache[key]
-  if (cached && cached !== current) {
-    // 触发执行 vnode 对应组件实例的 $destroy 方法
-    cached.componentInstance.$destroy()
+  if (cached && cached.componentInstance) {
+    // 缓存的 vnode 和当前的 vnode 可能不是同一个对象，所以比较组件实例
+    if (!current || cached.componentInstance !== current.componentInstance) {
+      // 触发执行 vnode 对应组件实例的 $destroy 方法
+      cached.componentInstance.$destroy()
+    } else if (current.data) {
+      // 当前正在显示的组件实例不会被销毁，但是它不再被缓存，不再显示时会被销毁而不是失活
+      current.data.keepAlive = false
+    }
   }
   // 将 cache 对象中的 key 置为 null，删除缓存的 vnode
   cache[key] = null
@@ -63,12 +78,59 @@ function pruneCacheEntry (
   remove(keys, key)
 }
 
+// 移除 cache 中指定 key 的 vnode，并触发 cache-evict 事件，reason 表示移除的原因
+function evictCacheEntry (keepAliveInstance: any, key: string, reason: string) {
+  const { cache, keys, timestamps, _vnode } = keepAliveInstance
+  if (!cache[key]) {
+    return
+  }
+  pruneCacheEntry(cache, key, keys, _vnode)
+  delete timestamps[key]
+  keepAliveInstance.$emit('cache-evict', key, reason)
+}
+
+// 移除超过 ttl 没有被使用的 vnode，当前正在显示的组件不会过期。
+// 然后设置一个定时器，在下一个 vnode 过期时再次检查
+function pruneExpiredCache (keepAliveInstance: any) {
+  const { keys, timestamps, _activeKey } = keepAliveInstance
+  const ttl = parseInt(keepAliveInstance.ttl)
+  clearTimeout(keepAliveInstance._ttlTimer)
+  keepAliveInstance._ttlTimer = null
+  if (!(ttl > 0)) {
+    return
+  }
+  const now = Date.now()
+  let next = Infinity
+  // evictCacheEntry 会修改 keys 数组，所以遍历它的副本
+  const cachedKeys = keys.slice()
+  for (let i = 0; i < cachedKeys.length; i++) {
+    const key = cachedKeys[i]
+    if (key === _activeKey) {
+      continue
+    }
+    const remaining = timestamps[key] + ttl - now
+    if (remaining <= 0) {
+      evictCacheEntry(keepAliveInstance, key, 'ttl')
+    } else if (remaining < next) {
+      next = remaining
+    }
+  }
+  if (next < Infinity) {
+    keepAliveInstance._ttlTimer = setTimeout(() => {
+      pruneExpiredCache(keepAliveInstance)
+    }, next)
+  }
+}
+
 const patternTypes: Array<Function> = [String, RegExp, Array]
 
 export default {
   name: 'keep-alive',
   // keep-alive 是一个抽象组件，抽象组件不会渲染成 DOM 元素，也不会出现在父组件链中
   abstract: true,
+  // cache-hit: (key, vm) 复用了缓存的组件实例
+  // cache-evict: (key, reason) 缓存被移除，reason 为 'max'、'ttl'、'include'、'exclude' 或 'manual'
+  emits: ['cache-hit', 'cache-evict'],
 
   props: {
     // 缓存白名单
@@ -78,7 +140,11 @@ export default {
     // 字符串或正则表达式。任何名称匹配的组件都不会被缓存。
     exclude: patternTypes,
     // 数字。最多可以缓存多少组件实例。
-    max: [String, Number]
+    max: [String, Number],
+    // 数字。缓存的组件实例失活多少毫秒之后被移除。
+    ttl: [String, Number],
+    // 函数。根据组件的 vnode 返回缓存用的 key，默认使用 vnode 的 key。
+    cacheKey: Function
   },
 
   created () {
@@ -86,9 +152,15 @@ export default {
     this.cache = Object.create(null)
     // 已缓存的 vnode 的 key 集合
     this.keys = []
+    // 每个缓存的 vnode 最后一次被使用（显示或者失活）的时间，用于 ttl
+    this.timestamps = (Object.create(null): CacheTimestamps)
+    // 当前正在显示的组件的 key
+    this._activeKey = null
+    this._ttlTimer = null
   },
 
   destroyed () {
+    clearTimeout(this._ttlTimer)
     // 清空所有缓存的 vnode
     // 使用 for in 遍历 this.cache 对象
     for (const key in this.cache) {
@@ -102,10 +174,34 @@ export default {
   // 将不满足 include、exclude 限制的 缓存vnode 从 this.cache 中移除
   watch: {
     include (val: string | RegExp | Array<string>) {
-      pruneCache(this, name => matches(val, name))
+      pruneCache(this, name => matches(val, name), 'include')
     },
     exclude (val: string | RegExp | Array<string>) {
-      pruneCache(this, name => !matches(val, name))
+      pruneCache(this, name => !matches(val, name), 'exclude')
+    },
+    ttl () {
+      pruneExpiredCache(this)
+    }
+  },
+
+  methods: {
+    /**
+     * Remove the cached instance of `key` and destroy it. The component
+     * that is currently displayed is removed from the cache but kept alive
+     * until it is switched away.
+     */
+    evict (key: string) {
+      evictCacheEntry(this, key, 'manual')
+    },
+
+    /**
+     * Remove and destroy all cached instances.
+     */
+    clear () {
+      const keys = this.keys.slice()
+      for (let i = 0; i < keys.length; i++) {
+        evictCacheEntry(this, keys[i], 'manual')
+      }
     }
   },
 
@@ -123,6 +219,12 @@ export default {
     const vnode: VNode = getFirstComponentChild(this.$slots.default)
     // 获取组件的配置选项对象
     const componentOptions: ?VNodeComponentOptions = vnode && vnode.componentOptions
+    // 之前显示的组件从现在开始失活，从这个时间开始计算 ttl
+    const prevKey: ?string = this._activeKey
+    this._activeKey = null
+    if (prevKey != null && this.cache[prevKey]) {
+      this.timestamps[prevKey] = Date.now()
+    }
     if (componentOptions) {
       // 获取组件的名称
       const name: ?string = getComponentName(componentOptions)
@@ -132,15 +234,28 @@ export default {
         (this.include && !matches(this.include, name)) ||
         (this.exclude && matches(this.exclude, name))
       )) {
+        pruneExpiredCache(this)
         return vnode
       }
       // 代码执行到这里，说明当前的组件受 keep-alive 组件的缓存
 
-      const { cache, keys } = this
-      // 定义 vnode 缓存用的 key
-      const key: ?string = vnode.key == null
-        ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
-        : vnode.key
+      const { cache, keys, timestamps } = this
+      // 定义 vnode 缓存用的 key，用户可以通过 cacheKey prop 自定义
+      const key: string = this.cacheKey
+        ? String(this.cacheKey(vnode))
+        : getDefaultCacheKey(vnode)
+      if (this.cacheKey && vnode.key == null) {
+        // 同一个组件可能对应多个缓存的实例，使用缓存的 key 作为 vnode 的 key，
+        // 这样切换时 patch 不会直接复用之前的组件实例
+        vnode.key = key
+      }
+
+      // 先移除已经过期的 vnode，如果要显示的组件也已经过期了，会创建一个新的组件实例。
+      // 继续显示的组件不会过期
+      if (key === prevKey) {
+        this._activeKey = key
+      }
+      pruneExpiredCache(this)
 
       // 如果 cache[key] 已经存在的话，则说明当前的组件 vnode 已经被缓存过了,此时需要将其恢复还原出来
       if (cache[key]) {
@@ -149,6 +264,9 @@ export default {
         // 先从 keys 中移除 key，然后再 push key，这可以保证当前的 key 在 keys 数组中的最后面
         remove(keys, key)
         keys.push(key)
+        if (key !== prevKey) {
+          this.$emit('cache-hit', key, vnode.componentInstance)
+        }
       } else {
         // 如果 cache[key] 不存在的话，说明当前的子组件是第一次出现，此时需要将 vnode 缓存到 cache 中
         cache[key] = vnode
@@ -158,13 +276,17 @@ export default {
         // 如果用户定义了 max prop，并且当前缓存的 vnode 的数量大于 max 的话，
         // 将 cache 对象中缓存时间最久没被使用（[keys[0]]）的 vnode 移除掉
         if (this.max && keys.length > parseInt(this.max)) {
-          pruneCacheEntry(cache, keys[0], keys, this._vnode)
+          evictCacheEntry(this, keys[0], 'max')
         }
       }
+      timestamps[key] = Date.now()
+      this._activeKey = key
 
       // 将 vnode.data.keepAlive 属性设置为 true，这对 vnode 有一个标识的作用，标识这个
       // vnode 是 keep-alive 组件的 render 函数 return 出去的，这个标识在下面的运行代码中有用
       vnode.data.keepAlive = true
+    } else {
+      pruneExpiredCache(this)
     }
     return vnode
   }
@@ -0,0 +1,27 @@
+/* @flow */
+
+import { createPortalVNode } from 'core/vdom/vnode'
+
+/**
+ * <portal> renders its default slot into the node matched by `to` (a
+ * selector or a node) instead of in place. The content moves when `to`
+ * changes and is rendered in place while `disabled` is true.
+ */
+export default {
+  name: 'portal',
+  // 抽象组件，不会出现在父组件链中，插槽内容的 $parent 和 inject 仍然来自原来的位置
+  abstract: true,
+
+  props: {
+    // 选择器字符串或者 DOM 节点，所以不限制类型
+    to: {
+      required: true
+    },
+    disabled: Boolean
+  },
+
+  render () {
+    // 挂载到目标节点、移动以及移除都由 patch 处理，服务端渲染时内容会被收集到 context.portals 中
+    return createPortalVNode(this.$slots.default || [], this.to, this.disabled)
+  }
+}
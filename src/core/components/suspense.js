@@ -0,0 +1,90 @@
+/* @flow */
+
+import { createOffscreenVNode } from 'core/vdom/vnode'
+import { nextTick, handleError } from 'core/util/index'
+
+// 沿着 $options.parent 向上查找离 vm 最近的 <suspense>（包括 vm 自身），
+// 只有还在等待中的 <suspense> 才会收集异步依赖
+export function getPendingSuspense (vm: ?Component): ?Component {
+  while (vm && !vm.$options.suspense) {
+    vm = vm.$options.parent
+  }
+  return vm && !vm.resolved && !vm._isDestroyed ? vm : null
+}
+
+/**
+ * Let the nearest pending <suspense> above `vm` wait for `dep`. A
+ * rejected dep is reported to errorCaptured hooks as an error of `vm`.
+ */
+export function registerAsyncDep (vm: ?Component, dep: Promise<any>, info: string) {
+  const suspense: any = getPendingSuspense(vm)
+  if (!suspense) {
+    return
+  }
+  suspense._pendingDeps++
+  const settle = () => {
+    suspense._pendingDeps--
+    // 依赖完成之后会触发重新渲染，新渲染出来的内容中可能又有新的异步依赖，
+    // 所以等到下一个 tick（重新渲染之后）再检查是否所有依赖都已经完成
+    nextTick(() => checkResolved(suspense))
+  }
+  dep.then(settle, err => {
+    handleError(err, vm, info)
+    settle()
+  })
+}
+
+function checkResolved (suspense: any) {
+  if (suspense._pendingDeps === 0 && !suspense.resolved && !suspense._isDestroyed) {
+    suspense.resolved = true
+    suspense.$emit('resolve')
+  }
+}
+
+/**
+ * <suspense> waits for the async components in its subtree, and for the
+ * components whose `setup()` or `asyncData()` returns a Promise. Until all
+ * of them have settled it shows its `fallback` slot, then it swaps in the
+ * default slot at once. Once resolved it does not go back to the fallback.
+ */
+export default {
+  name: 'suspense',
+  // 抽象组件，不会出现在父组件链中
+  abstract: true,
+  // 子树中的异步依赖通过这个标识找到它（参见 registerAsyncDep）
+  suspense: true,
+  emits: ['resolve'],
+
+  data () {
+    return {
+      // 服务端渲染不会等待异步依赖，直接输出内容
+      resolved: this.$isServer
+    }
+  },
+
+  created () {
+    this._pendingDeps = 0
+  },
+
+  beforeMount () {
+    // 激活服务端渲染的内容时 $el 已经存在，内容已经显示在页面上了，不再显示备用内容
+    if (this.$el) {
+      this.resolved = true
+    }
+  },
+
+  mounted () {
+    // 挂载过程中没有收集到异步依赖
+    checkResolved(this)
+  },
+
+  render () {
+    const content = this.$slots.default || []
+    if (this.resolved) {
+      return [createOffscreenVNode(content, false)]
+    }
+    // 等待期间内容照常渲染（异步组件因此开始加载），只是挂载在一个脱离文档的容器中，
+    // 完成之后 patch 会把它移动到原来的位置，备用内容被移除
+    return (this.$slots.fallback || []).concat(createOffscreenVNode(content, true))
+  }
+}
@@ -19,6 +19,10 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivityMode: 'defineProperty' | 'proxy';
+  strictReadonly: boolean;
+  strictMixinConflicts: boolean;
+  maxUpdateCount: number;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -78,6 +82,32 @@ export default ({
    */
   keyCodes: Object.create(null),
 
+  /**
+   * How observed objects are made reactive. 'proxy' uses ES2015 Proxy
+   * where available so that added/deleted keys are tracked as well,
+   * and falls back to getter/setters elsewhere.
+   */
+  reactivityMode: 'defineProperty',
+
+  /**
+   * Throw an error instead of warning when a readonly view (readonly
+   * props/injections, Vue.readonly) is mutated.
+   */
+  strictReadonly: false,
+
+  /**
+   * Throw an error instead of warning when a mixin defines a prop,
+   * injection, method or computed property that is already defined.
+   * Only checked in development.
+   */
+  strictMixinConflicts: false,
+
+  /**
+   * How many times a watcher may be re-queued within a single flush
+   * before the scheduler reports an infinite update loop.
+   */
+  maxUpdateCount: 100,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -117,3 +147,14 @@ export default ({
    */
   _lifecycleHooks: LIFECYCLE_HOOKS
 }: Config)
+
+/**
+ * The `config` option of the root instance of a component. Its
+ * errorHandler, warnHandler, keyCodes and ignoredElements take
+ * precedence over the global config for the whole tree.
+ */
+export function getRootConfig (vm: ?Component): ?RootConfig {
+  // $root 在 initLifecycle 中才会被赋值，在此之前（比如合并选项时）只能使用全局配置
+  const root = vm && vm.$root
+  return root ? root.$options.config : null
+}
@@ -0,0 +1,81 @@
+/* @flow */
+
+import config from '../config'
+import { ASSET_TYPES } from 'shared/constants'
+import { extend, hasOwn } from '../util/index'
+
+/**
+ * Copy the properties of a prototype chain (up to Object.prototype) into
+ * a new object, so that later additions to the chain are not visible.
+ */
+function snapshotPrototype (proto: Object): Object {
+  const chain = []
+  while (proto && proto !== Object.prototype) {
+    chain.unshift(proto)
+    proto = Object.getPrototypeOf(proto)
+  }
+  const snapshot = {}
+  // 离得近的原型上的属性覆盖离得远的
+  chain.forEach(proto => {
+    Object.getOwnPropertyNames(proto).forEach(key => {
+      Object.defineProperty(snapshot, key, (Object.getOwnPropertyDescriptor(proto, key): any))
+    })
+  })
+  return snapshot
+}
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an isolated app constructor. Plugins, mixins, components,
+   * directives, filters and prototype properties registered on it are
+   * only visible to the instances it creates, so several apps can live
+   * on the same page. What is registered on Vue before the app is
+   * created is copied into it; later changes to Vue do not reach it.
+   * Root instances are created with `new App()`.
+   */
+  Vue.createApp = function (): Class<Component> {
+    const Super = this
+    // 每次都传入一个新的对象，避免拿到 Vue.extend 缓存的构造函数
+    const App = Super.extend({})
+    // app 内的组件（包括以普通对象定义的组件）都是通过 options._base.extend 创建的，
+    // 将 _base 指向 App，这些组件的构造函数就会继承 App 的资源、混入和原型，而不是 Vue 的
+    App.options._base = App
+    // 合并选项时资源对象是通过原型链继承的，这里将它们复制成 app 自己的对象，
+    // 之后在 Vue 上注册的全局组件、指令和过滤器不会出现在 app 中
+    ASSET_TYPES.forEach(type => {
+      const key = type + 's'
+      const assets = Object.create(null)
+      for (const id in App.options[key]) {
+        assets[id] = App.options[key][id]
+      }
+      App.options[key] = assets
+    })
+    App.sealedOptions = extend({}, App.options)
+    // 原型同理，使用 Vue 原型当前的快照，之后添加到 Vue.prototype 上的属性不会出现在 app 中
+    App.prototype = snapshotPrototype(Super.prototype)
+    App.prototype.constructor = App
+    // 断开与父级构造函数的联系，之后在 Vue 上进行的全局混入不会再被合并到 app 中
+    delete App.super
+
+    // 每个 app 记录自己安装过的插件
+    App._installedPlugins = []
+    // 复制其余的全局 API（set、nextTick、observable、version 等），
+    // 这样插件的 install 方法拿到 App 之后，可以像使用 Vue 一样使用它
+    for (const key in Super) {
+      if (!hasOwn(App, key)) {
+        App[key] = Super[key]
+      }
+    }
+    // 每个 app 有自己的 config，作为 app 根实例的 config（参见 getRootConfig），
+    // 其中的 errorHandler、warnHandler、keyCodes 和 ignoredElements 只对这个 app 生效，
+    // 没有设置的配置项使用全局的配置
+    const appConfig = Object.create(config)
+    appConfig.keyCodes = Object.create(null)
+    appConfig.ignoredElements = []
+    App._appConfig = appConfig
+    const configDef = {}
+    configDef.get = () => appConfig
+    Object.defineProperty(App, 'config', configDef)
+    return App
+  }
+}
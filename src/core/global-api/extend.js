@@ -74,6 +74,7 @@ Vue.extend = function (extendOptions: Object): Function {
   Sub.extend = Super.extend
   Sub.mixin = Super.mixin
   Sub.use = Super.use
+  Sub.unuse = Super.unuse
 
   // ASSET_TYPES = [ 'component', 'directive', 'filter' ]
   ASSET_TYPES.forEach(function (type) {
@@ -4,8 +4,32 @@ import config from '../config'
 import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
+import { initCreateApp } from './app'
 import { initAssetRegisters } from './assets'
 import { set, del } from '../observer/index'
+import {
+  ref,
+  isRef,
+  watch,
+  computed,
+  observable,
+  watchEffect
+} from '../observer/reactivity'
+import {
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/setup'
+import { readonly } from '../observer/readonly'
+import { resetAsyncComponent } from '../vdom/helpers/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 
@@ -46,6 +70,31 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.delete = del
   Vue.nextTick = nextTick
 
+  // 定义脱离组件使用的响应式 API。observable、ref、computed、watch、watchEffect
+  Vue.observable = observable
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.watchEffect = watchEffect
+  Vue.readonly = readonly
+
+  // 清除异步组件加载失败的状态，使用它的组件会重新渲染并再次加载
+  Vue.resetAsyncComponent = resetAsyncComponent
+
+  // 定义在 setup() 中使用的生命周期注册函数
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
   // 定义 options 对象，该对象用于存储一系列的资源，如：组件、指令和过滤器
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
@@ -59,7 +108,7 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   // 将与平台无关的内建组件存储到 options.components 中
   extend(Vue.options.components, builtInComponents)
 
-  // 初始化 Vue.use()
+  // 初始化 Vue.use()、Vue.unuse()
   initUse(Vue)
   // 初始化 Vue.mixin()
   initMixin(Vue)
@@ -67,4 +116,6 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   initExtend(Vue)
   // 初始化 Vue.component()、Vue.directive()、Vue.filter()，用于向 Vue 中注册资源
   initAssetRegisters(Vue)
+  // 初始化 Vue.createApp()，用于创建相互隔离的 app
+  initCreateApp(Vue)
 }
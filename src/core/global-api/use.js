@@ -40,4 +40,24 @@ export function initUse (Vue: GlobalAPI) {
     installedPlugins.push(plugin)
     return this
   }
+
+  /**
+   * Remove an installed plugin, calling its `uninstall` hook with the
+   * same arguments as `install`, so that it can be installed again.
+   */
+  Vue.unuse = function (plugin: Function | Object) {
+    const installedPlugins = this._installedPlugins
+    const index = installedPlugins ? installedPlugins.indexOf(plugin) : -1
+    if (index < 0) {
+      return this
+    }
+    const args = toArray(arguments, 1)
+    args.unshift(this)
+    // 插件是否需要清理（移除原型上的属性、注销资源等）由插件自己的 uninstall 方法决定
+    if (typeof plugin.uninstall === 'function') {
+      plugin.uninstall.apply(plugin, args)
+    }
+    installedPlugins.splice(index, 1)
+    return this
+  }
 }
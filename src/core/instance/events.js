@@ -2,10 +2,13 @@
 
 import {
   tip,
+  warn,
+  cached,
+  hasOwn,
   toArray,
   hyphenate,
-  handleError,
-  formatComponentName
+  formatComponentName,
+  invokeWithErrorHandling
 } from '../util/index'
 import { updateListeners } from '../vdom/helpers/index'
 
@@ -15,6 +18,7 @@ export function initEvents (vm: Component) {
   // 2，父组件在子组件上绑定的事件和响应函数。
   vm._events = Object.create(null)
   vm._hasHookEvent = false
+  vm._hasWildcardEvent = false
   // 获取父组件在子组件上绑定的事件集合对象，{ eventName1: callback1, ...... }
   const listeners = vm.$options._parentListeners
   // 如果父组件的确在子组件上绑定了事件的话，执行 updateComponentListeners 函数
@@ -48,6 +52,45 @@ export function updateComponentListeners (
   updateListeners(listeners, oldListeners || {}, add, remove, vm)
 }
 
+/**
+ * Event names containing "*" are patterns. "*" matches any sequence of
+ * characters, so "cart:*" matches every event of the "cart" namespace
+ * (e.g. "cart:item-added") and "*" matches all events.
+ */
+function isEventPattern (event: string): boolean {
+  return event.indexOf('*') > -1
+}
+
+const getEventPatternRE = cached((pattern: string): RegExp => new RegExp(
+  '^' + pattern.split('*').map(escapeRE).join('.*') + '$'
+))
+
+function escapeRE (str: string): string {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function matchesEventPattern (pattern: string, event: string): boolean {
+  return getEventPatternRE(pattern).test(event)
+}
+
+// 从回调函数数组 cbs 中移除指定的回调函数 fn
+function removeCallback (cbs: Array<Function>, fn: Function) {
+  let cb
+  let i = cbs.length
+  // 遍历回调函数数组 cbs
+  // 这里有个细节是：遍历的方向是从后往前，因为这样移除掉某个回调函数的时候，
+  // 不会影响前面未处理回调函数的位置。
+  while (i--) {
+    cb = cbs[i]
+    // 如果 cb 等于 fn 或者 cb.fn 等于 fn 的话，说明当前的 cb 就是要移除的回调函数，
+    // 使用 splice 将其移除掉即可。
+    if (cb === fn || cb.fn === fn) {
+      cbs.splice(i, 1)
+      break
+    }
+  }
+}
+
 export function eventsMixin (Vue: Class<Component>) {
   const hookRE = /^hook:/
   Vue.prototype.$on = function (event: string | Array<string>, fn: Function): Component {
@@ -74,6 +117,10 @@ export function eventsMixin (Vue: Class<Component>) {
       if (hookRE.test(event)) {
         vm._hasHookEvent = true
       }
+      // 同样使用标识位记录有没有注册过通配符事件，没有的话 $emit 就不需要遍历所有的事件
+      if (isEventPattern(event)) {
+        vm._hasWildcardEvent = true
+      }
     }
     return vm
   }
@@ -96,6 +143,7 @@ export function eventsMixin (Vue: Class<Component>) {
     // Vue 的解决方案是将 fn 赋值到 on.fn，然后在 $off 函数中，判断如果 cb.fn === fn 的话，也
     // 会进行移除的操作。这样，用户执行 this.$off('event', fn) 就能够达到移除 fn 回调的效果了。
     on.fn = fn
+    // event 是通配符事件的话，on 也注册在通配符事件上，在 on 中移除的也是通配符事件
     vm.$on(event, on)
     return vm
   }
@@ -115,6 +163,21 @@ export function eventsMixin (Vue: Class<Component>) {
       }
       return vm
     }
+    // 如果 event 是通配符事件的话，所有匹配的事件（包括匹配的通配符事件本身）都要进行移除操作
+    if (typeof event === 'string' && isEventPattern(event)) {
+      const pattern = event
+      for (const key in vm._events) {
+        const cbs = vm._events[key]
+        if (cbs && matchesEventPattern(pattern, key)) {
+          if (arguments.length === 1) {
+            vm._events[key] = null
+          } else if (fn) {
+            removeCallback(cbs, fn)
+          }
+        }
+      }
+      return vm
+    }
     // 在这里处理单个的 event 事件，通过 vm._events[event] 获取 event 事件的回调函数数组
     const cbs = vm._events[event]
     // 如果 cbs 不存在的话，说明没有注册 e vent 事件，直接 return 返回即可
@@ -131,20 +194,7 @@ export function eventsMixin (Vue: Class<Component>) {
     // 此时需要移除指定事件的指定回调函数
     if (fn) {
       // specific handler
-      let cb
-      let i = cbs.length
-      // 遍历回调函数数组 cbs
-      // 这里有个细节是：遍历的方向是从后往前，因为这样移除掉某个回调函数的时候，
-      // 不会影响前面未处理回调函数的位置。
-      while (i--) {
-        cb = cbs[i]
-        // 如果 cb 等于 fn 或者 cb.fn 等于 fn 的话，说明当前的 cb 就是要移除的回调函数，
-        // 使用 splice 将其移除掉即可。
-        if (cb === fn || cb.fn === fn) {
-          cbs.splice(i, 1)
-          break
-        }
-      }
+      removeCallback(cbs, fn)
     }
     return vm
   }
@@ -163,6 +213,31 @@ export function eventsMixin (Vue: Class<Component>) {
           `You should probably use "${hyphenate(event)}" instead of "${event}".`
         )
       }
+      // 组件声明了 emits 选项时，检查事件是否已声明，并使用声明的校验函数校验事件参数
+      const { emits, model }: any = vm.$options
+      if (emits) {
+        if (!hasOwn(emits, event)) {
+          // v-model 使用的事件和 hook: 事件不需要声明
+          if (
+            !/^hook:/.test(event) &&
+            event !== ((model && model.event) || 'input')
+          ) {
+            warn(
+              `Component emitted event "${event}" but it is not declared ` +
+              `in the emits option.`,
+              vm
+            )
+          }
+        } else {
+          const validator = emits[event]
+          if (validator && !validator.apply(vm, toArray(arguments, 1))) {
+            warn(
+              `Invalid event arguments: event validation failed for event "${event}".`,
+              vm
+            )
+          }
+        }
+      }
     }
 
     // 使用 event 事件名获取回调函数列表
@@ -172,10 +247,19 @@ export function eventsMixin (Vue: Class<Component>) {
       const args = toArray(arguments, 1)
       // 遍历执行 cbs 中的回调函数
       for (let i = 0, l = cbs.length; i < l; i++) {
-        try {
-          cbs[i].apply(vm, args)
-        } catch (e) {
-          handleError(e, vm, `event handler for "${event}"`)
+        invokeWithErrorHandling(cbs[i], vm, args, vm, `event handler for "${event}"`)
+      }
+    }
+    // 触发匹配的通配符事件的回调函数，它们的第一个参数是实际触发的事件名
+    if (vm._hasWildcardEvent) {
+      const args = toArray(arguments)
+      for (const key in vm._events) {
+        const cbs = vm._events[key]
+        if (cbs && key !== event && isEventPattern(key) && matchesEventPattern(key, event)) {
+          const cloned = cbs.slice()
+          for (let i = 0, l = cloned.length; i < l; i++) {
+            invokeWithErrorHandling(cloned[i], vm, args, vm, `event handler for "${event}"`)
+          }
         }
       }
     }
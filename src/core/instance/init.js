@@ -57,6 +57,14 @@ export function initMixin (Vue: Class<Component>) {
         options || {},
         vm
       )
+      // 使用 Vue.createApp 创建的 app 的根实例，以 app 自己的 config 作为根配置，
+      // 根实例的 config 选项中设置的配置项优先
+      const appConfig = resolveAppConfig(vm.constructor)
+      if (appConfig) {
+        vm.$options.config = vm.$options.config
+          ? extend(Object.create(appConfig), vm.$options.config)
+          : appConfig
+      }
     }
     /* istanbul ignore else */
     if (process.env.NODE_ENV !== 'production') {
@@ -118,6 +126,16 @@ function initInternalComponent (vm: Component, options: InternalComponentOptions
   }
 }
 
+// 沿着 super 向上查找创建该构造函数的 app 的 config
+function resolveAppConfig (Ctor: any): ?Object {
+  while (Ctor) {
+    if (Ctor._appConfig) {
+      return Ctor._appConfig
+    }
+    Ctor = Ctor.super
+  }
+}
+
 export function resolveConstructorOptions (Ctor: Class<Component>) {
   let options = Ctor.options
   if (Ctor.super) {
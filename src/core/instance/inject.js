@@ -1,8 +1,11 @@
 /* @flow */
 
-import { warn } from '../util/index'
-import { hasSymbol } from 'core/util/env'
+import Dep from '../observer/dep'
+import Watcher from '../observer/watcher'
+import { warn, noop } from '../util/index'
+import { hasSymbol, isServerRendering } from 'core/util/env'
 import { defineReactive, observerState } from '../observer/index'
+import { readonly } from '../observer/readonly'
 
 // provide/inject 的工作原理：
 // 小知识：Vue 实例可以通过 $parent 属性获取到父组件的 Vue 实例。
@@ -13,6 +16,11 @@ import { defineReactive, observerState } from '../observer/index'
 // 如果存在的话，则将这个值作为 inject key 的值；而如果不存在的话，则以 $parent 为链条查看父组件的
 // _provided[provideKey] 是否存在，如果还没有的话，则会一级一级的向上级进行查找，inject 数据查找完成
 // 之后，借助 defineReactive 将 inject 值设置到当前的 Vue 实例 vm 上。
+//
+// 配置了 reactive: true 的 inject 不会只在创建时解析一次，而是定义成一个 getter，每次读取时都从
+// 提供方的 provide 函数取值。provide 函数会像计算属性一样被一个 lazy watcher 求值并缓存，
+// 所以提供方的响应式数据变化时，注入方也会随之重新渲染。provide 函数只在创建时执行一次，
+// 之后只有它依赖的数据变化了才会重新执行。
 
 // provide 选项应该是一个对象或者是一个返回对象的函数
 export function initProvide (vm: Component) {
@@ -23,9 +31,18 @@ export function initProvide (vm: Component) {
     // provide 选项有可能是对象或者返回对象的函数
     // 如果 provide 是函数的话，则将 provide 函数的返回对象赋值给 vm._provided
     // 如果 provide 就是对象类型的话，则直接将 provide 值赋值给 vm._provided
-    vm._provided = typeof provide === 'function'
-      ? provide.call(vm)
-      : provide
+    if (typeof provide === 'function' && !isServerRendering()) {
+      // 通过 lazy watcher 执行 provide 函数，收集它依赖的数据。
+      // 配置了 reactive 的 inject 会复用这个 watcher 的结果（参见 defineReactiveInjection）。
+      // 和计算属性一样，服务端渲染时不需要跟踪数据的变化
+      const watcher = vm._providedWatcher = new Watcher(vm, provide, noop, { lazy: true })
+      watcher.evaluate()
+      vm._provided = watcher.value
+    } else {
+      vm._provided = typeof provide === 'function'
+        ? provide.call(vm)
+        : provide
+    }
   }
 }
 
@@ -44,7 +61,16 @@ export function initInjections (vm: Component) {
     // 将 result[key] 数据本身进行响应式转换，只将 vm.[key] 转换成响应式就可以了。
     observerState.shouldConvert = false
     // 遍历 result 对象的 keys，对这些 inject 的数据定义到 vm 上，并且 vm.[key] 是响应式的
+    const inject: any = vm.$options.inject
     Object.keys(result).forEach(key => {
+      // 配置了 reactive 的 inject，如果提供方的 provide 是函数的话，定义成跟踪提供方状态的 getter
+      if (inject[key].reactive) {
+        const source = resolveProvider(inject[key].from, vm)
+        if (source && source._providedWatcher) {
+          defineReactiveInjection(vm, key, source, inject[key])
+          return
+        }
+      }
       // 调用 defineReactive 方法将 inject 的数据定义到 vm 上，这样，在组件中就可以
       // 通过 this[injectKey] 访问到 inject 到当前组件中的数据了。
       if (process.env.NODE_ENV !== 'production') {
@@ -100,24 +126,14 @@ export function resolveInject (inject: any, vm: Component): ?Object {
       const key = keys[i]
       // 当前遍历的 inject key 对应的注入 provideKey
       const provideKey = inject[key].from
-      // source 变量是 Vue 实例的引用，从当前 inject 的 Vue 实例开始，一级一级的向上查找目标 injectKey 的值
-      let source = vm
-      // 利用 while(){} 一级一级的向上查找
-      while (source) {
-        // 如果当前的 source 定义了 provide，并且定义的 provide 存在 provideKey 的话，
-        // 则说明找到了目标 injectKey 的值
-        if (source._provided && provideKey in source._provided) {
-          // 将找到的 provideKey 值赋值到 result[key]，当前处理的 key 也就完成了
-          result[key] = source._provided[provideKey]
-          break
-        }
-        // 如果没有找到的话，则将 source 赋值为当前 Vue 实例的父级 Vue 实例，一级一级的向上找
-        // 当找到顶级的 Vue 实例时，他的父级是 null，此时 while 也就结束了。
-        source = source.$parent
-      }
-      // 如果 source 一直处理，到最后被赋值成了 null，则说明 inject key 没有找到目标 key 的 provide 值
-      // 此时会进入 inject default 的处理逻辑
-      if (!source) {
+      // source 是提供了 provideKey 的 Vue 实例
+      const source = resolveProvider(provideKey, vm)
+      if (source) {
+        // 将找到的 provideKey 值赋值到 result[key]，当前处理的 key 也就完成了
+        result[key] = (source._provided: any)[provideKey]
+      } else {
+        // 如果没有找到 source，则说明 inject key 没有找到目标 key 的 provide 值
+        // 此时会进入 inject default 的处理逻辑
         // 判断当前的 inject[key] 有没有定义 default
         if ('default' in inject[key]) {
           // 此时，inject[key] 定义了 default，获取 default 定义 provideDefault
@@ -134,8 +150,71 @@ export function resolveInject (inject: any, vm: Component): ?Object {
           warn(`Injection "${key}" not found`, vm)
         }
       }
+      // 配置了 readonly 的 inject，拿到的是深度只读的视图，防止在注入方修改提供方的数据
+      if (inject[key].readonly && key in result) {
+        result[key] = readonly(result[key])
+      }
     }
     // 将解析完成的 result 对象 return 出去
     return result
   }
 }
+
+// 从 vm 开始，一级一级的向上查找提供了 provideKey 的 Vue 实例
+function resolveProvider (provideKey: any, vm: Component): ?Component {
+  // source 变量是 Vue 实例的引用，从当前 inject 的 Vue 实例开始，一级一级的向上查找目标 injectKey 的值
+  let source = vm
+  // 利用 while(){} 一级一级的向上查找
+  while (source) {
+    // 如果当前的 source 定义了 provide，并且定义的 provide 存在 provideKey 的话，
+    // 则说明找到了目标 injectKey 的值
+    if (source._provided && provideKey in source._provided) {
+      return source
+    }
+    // 如果没有找到的话，则将 source 赋值为当前 Vue 实例的父级 Vue 实例，一级一级的向上找
+    // 当找到顶级的 Vue 实例时，他的父级是 null，此时 while 也就结束了。
+    source = source.$parent
+  }
+}
+
+/**
+ * Define an injection that reads the provider's provide() result every
+ * time it is accessed. The result is cached by the lazy watcher created
+ * in initProvide, just like a computed property: provide() only runs
+ * again after its dependencies have changed, and consumers re-render
+ * when it does.
+ */
+function defineReactiveInjection (
+  vm: Component,
+  key: string,
+  source: Component,
+  options: Object
+) {
+  const watcher: Watcher = (source._providedWatcher: any)
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get () {
+      if (watcher.dirty) {
+        watcher.evaluate()
+        // 之后才解析 inject 的组件拿到的也是最新的值
+        source._provided = watcher.value
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      const value = watcher.value[options.from]
+      return options.readonly ? readonly(value) : value
+    },
+    set () {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `Avoid mutating an injected value directly since the changes will be ` +
+          `overwritten whenever the provided component re-renders. ` +
+          `injection being mutated: "${key}"`,
+          vm
+        )
+      }
+    }
+  })
+}
@@ -12,9 +12,9 @@ import {
   warn,
   noop,
   remove,
-  handleError,
   emptyObject,
-  validateProp
+  validateProp,
+  invokeWithErrorHandling
 } from '../util/index'
 
 export let activeInstance: any = null
@@ -223,8 +223,19 @@ export function mountComponent (
     }
   }
 
+  // 开发环境下，渲染 watcher 收集依赖以及被触发更新时，调用 renderTracked 和 renderTriggered 钩子
+  let watcherOptions
+  if (process.env.NODE_ENV !== 'production' &&
+    (vm.$options.renderTracked || vm.$options.renderTriggered)
+  ) {
+    watcherOptions = {
+      onTrack: e => callHook(vm, 'renderTracked', [e]),
+      onTrigger: e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+
   // 这里的 Watcher 实例是一个渲染 Watcher，组件级别的
-  vm._watcher = new Watcher(vm, updateComponent, noop)
+  vm._watcher = new Watcher(vm, updateComponent, noop, watcherOptions)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -345,17 +356,13 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
 // 执行 Vue 实例(vm)中的生命周期函数
 // 内容也很简单，就是从 vm.$options 中取出指定生命周期的回调函数数组
 // 然后遍历执行数组中的函数
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // 取出回调函数数组
   const handlers = vm.$options[hook]
   if (handlers) {
     // 遍历执行每一个函数
     for (let i = 0, j = handlers.length; i < j; i++) {
-      try {
-        handlers[i].call(vm)
-      } catch (e) {
-        handleError(e, vm, `${hook} hook`)
-      }
+      invokeWithErrorHandling(handlers[i], vm, args, vm, `${hook} hook`)
     }
   }
   if (vm._hasHookEvent) {
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from 'core/config'
+import config, { getRootConfig } from 'core/config'
 import { hyphenate } from 'shared/util'
 
 /**
@@ -14,7 +14,11 @@ export function checkKeyCodes (
   builtInAlias?: number | Array<number>,
   eventKeyName?: string
 ): ?boolean {
-  const keyCodes = config.keyCodes[key] || builtInAlias
+  // this 是调用 _k 的组件实例，根实例 config 选项中的 keyCodes 优先于全局的 keyCodes
+  const rootConfig = getRootConfig(this)
+  const keyCodes = (rootConfig && rootConfig.keyCodes && rootConfig.keyCodes[key]) ||
+    config.keyCodes[key] ||
+    builtInAlias
   if (keyCodes) {
     if (Array.isArray(keyCodes)) {
       return keyCodes.indexOf(eventKeyCode) === -1
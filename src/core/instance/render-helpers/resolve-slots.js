@@ -43,7 +43,8 @@ export function resolveSlots (
 }
 
 function isWhitespace (node: VNode): boolean {
-  return node.isComment || node.text === ' '
+  // 异步组件的占位节点也是注释节点，但它不是空白内容
+  return (node.isComment && !node.asyncFactory) || node.text === ' '
 }
 
 export function resolveScopedSlots (
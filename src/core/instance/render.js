@@ -2,6 +2,7 @@
 
 import {
   warn,
+  noop,
   nextTick,
   emptyObject,
   handleError,
@@ -11,12 +12,15 @@ import {
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
-import VNode, { cloneVNodes, createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/index'
+import VNode, { cloneVNodes, createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { registerAsyncDep } from '../components/suspense'
 
 export function initRender (vm: Component) {
   vm._vnode = null // the root of the child tree
+  vm._pendingRender = 0
   const options = vm.$options
   const parentVnode = vm.$vnode = options._parentVnode // the placeholder node in parent tree
   const renderContext = parentVnode && parentVnode.context
@@ -53,6 +57,27 @@ export function initRender (vm: Component) {
   }
 }
 
+/**
+ * Render `vm` as an empty comment until `promise` settles, and let the
+ * nearest <suspense> wait for it. `cb` receives the resolved value before
+ * `vm` re-renders. After a rejection `vm` stays empty: the error has
+ * already been reported by whoever created the Promise.
+ */
+export function renderAfter (
+  vm: Component,
+  promise: Promise<any>,
+  cb: (value: any) => void,
+  info: string
+) {
+  vm._pendingRender++
+  const done = promise.then(value => {
+    cb(value)
+    vm._pendingRender--
+    vm.$forceUpdate()
+  }, noop)
+  registerAsyncDep(vm, done, info)
+}
+
 export function renderMixin (Vue: Class<Component>) {
   // install runtime convenience helpers
   installRenderHelpers(Vue.prototype)
@@ -89,7 +114,10 @@ export function renderMixin (Vue: Class<Component>) {
       // 在这里执行 render 函数，生成 vnode
       // 我们知道 Vue 的 render 函数的第一个参数是一个能够创建 VNode 的函数，
       // 该特性的底层实现就在这里，render.call 方法的第二个参数 vm.$createElement 就是这个能够创建 VNode 的函数
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // 异步的 setup() 或者 asyncData() 完成之前渲染为空的注释节点（参见 renderAfter）
+      vnode = vm._pendingRender > 0
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render`)
       // return error render result,
@@ -110,15 +138,13 @@ export function renderMixin (Vue: Class<Component>) {
         vnode = vm._vnode
       }
     }
+    // multiple root nodes are rendered as a fragment
+    // render 函数返回数组（包括有多个根节点的模板）时，组件渲染为一个片段，vm.$el 是片段的起始锚点
+    if (Array.isArray(vnode)) {
+      vnode = createFragmentVNode(normalizeChildren(vnode) || [])
+    }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       // 如果生成 vnode 失败的话，赋值一个空的 VNode 给 vnode 变量
       vnode = createEmptyVNode()
     }
@@ -0,0 +1,158 @@
+/* @flow */
+
+import { isRef } from '../observer/reactivity'
+import { renderAfter } from './render'
+import {
+  warn,
+  hasOwn,
+  isPromise,
+  isReserved,
+  toRawType,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+// setup() 选项：在 props 初始化之后、methods/data/computed/watch 初始化之前执行，
+// 返回的对象中的绑定会被定义到 vm 上，所以在模板、render 函数以及其他选项中都能通过 this 访问到。
+// 在 setup() 中可以使用 Vue.ref、Vue.computed、Vue.watch、Vue.watchEffect 等响应式 API，
+// 以及 Vue.onMounted 等生命周期注册函数，这样同一个功能的逻辑就可以组织在一起，并抽取成函数复用。
+
+// 正在执行 setup() 的组件实例，生命周期注册函数以及 computed/watch 通过它找到所属的组件
+export let currentInstance: ?Component = null
+
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (typeof setup !== 'function') {
+    return
+  }
+  const context = createSetupContext(vm)
+  const prev = currentInstance
+  currentInstance = vm
+  const result = invokeWithErrorHandling(
+    setup,
+    null,
+    [vm._props || {}, context],
+    vm,
+    'setup function'
+  )
+  currentInstance = prev
+
+  if (isPromise(result)) {
+    // 异步的 setup()：Promise 完成之前组件渲染为空的注释节点，外层的 <suspense> 会等待它
+    renderAfter(vm, result, res => applySetupResult(vm, res), 'setup function')
+  } else {
+    applySetupResult(vm, result)
+  }
+}
+
+function applySetupResult (vm: Component, result: any) {
+  if (typeof result === 'function') {
+    // setup() 返回的是 render 函数
+    vm.$options.render = result
+  } else if (isPlainObject(result)) {
+    vm._setupState = result
+    proxySetupBindings(vm, result)
+  } else if (process.env.NODE_ENV !== 'production' && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${result === null ? 'null' : toRawType(result)}`,
+      vm
+    )
+  }
+}
+
+function createSetupContext (vm: Component): Object {
+  // attrs、listeners 和 slots 在组件更新时会被替换，所以使用 getter 每次都读取最新的值
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$slots
+    },
+    get scopedSlots () {
+      return vm.$scopedSlots
+    },
+    emit: (event: string, ...args: Array<any>) => {
+      vm.$emit(event, ...args)
+    }
+  }
+}
+
+/**
+ * Expose the bindings returned by setup() on the instance. Refs are
+ * unwrapped, so that `this.count` reads and writes `count.value`.
+ */
+function proxySetupBindings (vm: Component, bindings: Object) {
+  const props = vm.$options.props
+  Object.keys(bindings).forEach(key => {
+    if (process.env.NODE_ENV !== 'production') {
+      if (props && hasOwn(props, key)) {
+        warn(`The setup binding "${key}" is already declared as a prop.`, vm)
+        return
+      }
+      if (isReserved(key)) {
+        warn(
+          `setup() return property "${key}" should not start with "$" or "_" ` +
+          `which are reserved prefixes for Vue internals.`,
+          vm
+        )
+        return
+      }
+    }
+    Object.defineProperty(vm, key, {
+      enumerable: true,
+      configurable: true,
+      get () {
+        const value = bindings[key]
+        return isRef(value) ? value.value : value
+      },
+      set (val) {
+        const value = bindings[key]
+        if (isRef(value) && !isRef(val)) {
+          value.value = val
+        } else {
+          bindings[key] = val
+        }
+      }
+    })
+  })
+}
+
+/**
+ * Lifecycle registration functions, usable inside setup(). Each one
+ * adds the hook to the options of the current instance only.
+ */
+function createHookRegistrar (hook: string, name: string): Function {
+  return function (fn: Function) {
+    const vm = currentInstance
+    if (!vm) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `${name} is called when there is no active component instance. ` +
+          `Lifecycle registration functions can only be used inside setup().`
+        )
+      }
+      return
+    }
+    // 组件的 $options 的原型是构造函数的 options，这里给实例自身定义一个新的数组，不会影响其他实例
+    const options: any = vm.$options
+    const hooks = options[hook]
+    options[hook] = hooks ? hooks.concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createHookRegistrar('beforeMount', 'onBeforeMount')
+export const onMounted = createHookRegistrar('mounted', 'onMounted')
+export const onBeforeUpdate = createHookRegistrar('beforeUpdate', 'onBeforeUpdate')
+export const onUpdated = createHookRegistrar('updated', 'onUpdated')
+export const onBeforeUnmount = createHookRegistrar('beforeDestroy', 'onBeforeUnmount')
+export const onUnmounted = createHookRegistrar('destroyed', 'onUnmounted')
+export const onActivated = createHookRegistrar('activated', 'onActivated')
+export const onDeactivated = createHookRegistrar('deactivated', 'onDeactivated')
+export const onErrorCaptured = createHookRegistrar('errorCaptured', 'onErrorCaptured')
+export const onRenderTracked = createHookRegistrar('renderTracked', 'onRenderTracked')
+export const onRenderTriggered = createHookRegistrar('renderTriggered', 'onRenderTriggered')
@@ -3,6 +3,8 @@
 import config from '../config'
 import Dep from '../observer/dep'
 import Watcher from '../observer/watcher'
+import { initSetup } from './setup'
+import { renderAfter } from './render'
 import { isUpdatingChildComponent } from './lifecycle'
 
 import {
@@ -23,8 +25,10 @@ import {
   handleError,
   nativeWatch,
   validateProp,
+  isPromise,
   isPlainObject,
   isServerRendering,
+  invokeWithErrorHandling,
   isReservedAttribute
 } from '../util/index'
 import {queueWatcher} from "../observer/scheduler";
@@ -53,11 +57,16 @@ export function initState (vm: Component) {
   vm._watchers = []
   const opts = vm.$options
   if (opts.props) initProps(vm, opts.props)
+  // setup() 在 props 之后、其他状态之前执行，它返回的绑定可以在 data、computed 等选项中使用
+  initSetup(vm)
   if (opts.methods) initMethods(vm, opts.methods)
   if (opts.data) {
     initData(vm)
   } else {
-    observe(vm._data = {}, true /* asRootData */)
+    const ob = observe(vm._data = {}, true /* asRootData */)
+    if (ob && ob.proxy) {
+      vm._data = ob.proxy
+    }
   }
   // 初始化计算属性
   if (opts.computed) initComputed(vm, opts.computed)
@@ -67,6 +76,7 @@ export function initState (vm: Component) {
     // 进行侦听属性的初始化过程
     initWatch(vm, opts.watch)
   }
+  if (opts.asyncData) initAsyncData(vm, opts.asyncData)
 }
 
 // 初始化 Props
@@ -184,7 +194,53 @@ function initData (vm: Component) {
     }
   }
   // observe data
-  observe(data, true /* asRootData */)
+  const ob = observe(data, true /* asRootData */)
+  // proxy 模式下，vm._data 需要指向代理对象，这样通过 vm 访问的数据才能被拦截到
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
+}
+
+// asyncData() 返回的对象（或者返回的 Promise 完成之后得到的对象）会被合并到 data 中，
+// Promise 完成之前组件渲染为空的注释节点，外层的 <suspense> 会等待它
+function initAsyncData (vm: Component, asyncData: Function) {
+  const result = invokeWithErrorHandling(asyncData, vm, [vm], vm, 'asyncData()')
+  if (isPromise(result)) {
+    renderAfter(vm, result, data => mergeAsyncData(vm, data), 'asyncData()')
+  } else {
+    mergeAsyncData(vm, result)
+  }
+}
+
+function mergeAsyncData (vm: Component, data: any) {
+  if (!isPlainObject(data)) {
+    process.env.NODE_ENV !== 'production' && data !== undefined && warn(
+      'asyncData() should return an object or a Promise that resolves to an object.',
+      vm
+    )
+    return
+  }
+  const props = vm.$options.props
+  const methods = vm.$options.methods
+  Object.keys(data).forEach(key => {
+    if (hasOwn(vm._data, key)) {
+      vm._data[key] = data[key]
+    } else if ((props && hasOwn(props, key)) || (methods && hasOwn(methods, key)) || isReserved(key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The asyncData property "${key}" conflicts with a prop, a method or a reserved name.`,
+        vm
+      )
+    } else {
+      // 没有在 data 中声明的 key 也被定义为响应式的，proxy 模式下直接通过代理对象新增即可
+      const ob = vm._data.__ob__
+      if (ob && ob.proxy) {
+        vm._data[key] = data[key]
+      } else {
+        defineReactive(vm._data, key, data[key])
+      }
+      proxy(vm, `_data`, key)
+    }
+  })
 }
 
 function getData (data: Function, vm: Component): any {
@@ -230,7 +286,9 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        typeof userDef === 'function' || !userDef.equals
+          ? computedWatcherOptions
+          : { lazy: true, equals: userDef.equals }
       )
     }
 
@@ -273,9 +331,11 @@ export function defineComputed (
       : userDef
     sharedPropertyDefinition.set = noop
   } else {
+    // cache 为 false 时，每次读取都会重新求值，但仍然通过 Watcher 求值，
+    // 这样 equals 选项和 $invalidate 同样适用
     sharedPropertyDefinition.get = userDef.get
-      ? shouldCache && userDef.cache !== false
-        ? createComputedGetter(key)
+      ? shouldCache
+        ? createComputedGetter(key, userDef.cache !== false)
         : userDef.get
       : noop
     sharedPropertyDefinition.set = userDef.set
@@ -296,7 +356,7 @@ export function defineComputed (
 }
 
 // createComputedGetter 方法能够返回一个方法，返回的方法具有缓存的作用
-function createComputedGetter (key) {
+function createComputedGetter (key: string, cache: boolean = true) {
   // 返回的方法会作为 get。具有缓存结果值的作用，实现的依据是 Watcher 实例的 dirty 属性，
   return function computedGetter () {
     // this 就是 vm
@@ -306,7 +366,7 @@ function createComputedGetter (key) {
       // dirty 属性是一个标志位：标志着这个 Watcher 所依赖的数据有没有变化
       // 如果 Watcher 所依赖的数据没有变化的话，也就不用重新计算值（watcher.value）,直接返回 watcher.value 即可
       // 如果 watcher.dirty 为 true 的话，说明 watcher.value 还没有计算或者依赖的数据变化了，此时就需要重新计算
-      if (watcher.dirty) {
+      if (watcher.dirty || !cache) {
         watcher.evaluate()
         // evaluate () {
         //   this.value = this.get()
@@ -385,7 +445,7 @@ function initWatch (vm: Component, watch: Object) {
 
 function createWatcher (
   vm: Component,
-  keyOrFn: string | Function,
+  keyOrFn: string | Function | Array<string | Function>,
   // handler 只会是 函数、字符串、对象 类型的
   handler: any,
   options?: Object
@@ -393,6 +453,10 @@ function createWatcher (
   // 如果 handler 是对象类型的话，需要进行下数据整形，确保 handler 指向处理函数，options 指向配置对象
   if (isPlainObject(handler)) {
     options = handler
+    // watch 选项可以通过 sources 同时侦听多个数据源，例如：{ sources: ['a', 'b'], handler }
+    if (Array.isArray(handler.sources)) {
+      keyOrFn = handler.sources
+    }
     handler = handler.handler
   }
   // 如果 handler 是字符串类型的话，从 vm 实例中获取到对应的处理函数
@@ -432,7 +496,7 @@ export function stateMixin (Vue: Class<Component>) {
   Vue.prototype.$delete = del
 
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -443,14 +507,44 @@ export function stateMixin (Vue: Class<Component>) {
     }
     options = options || {}
     options.user = true
+    if (process.env.NODE_ENV !== 'production' &&
+      options.flush && !/^(pre|post|sync)$/.test(options.flush)
+    ) {
+      warn(
+        `Invalid value for option "flush": expected "pre", "post" or "sync", ` +
+        `got "${String(options.flush)}".`,
+        vm
+      )
+    }
     // vm.$watch 方法的核心，借助 Watcher 实现功能
     const watcher = new Watcher(vm, expOrFn, cb, options)
     if (options.immediate) {
       // 如果 immediate 为 true 的话，立即执行回调函数
-      cb.call(vm, watcher.value)
+      invokeWithErrorHandling(
+        cb,
+        vm,
+        [watcher.value, undefined, watcher.onCleanup],
+        vm,
+        `callback for immediate watcher "${watcher.expression}"`
+      )
     }
     return function unwatchFn () {
       watcher.teardown()
     }
   }
+
+  /**
+   * Mark a computed property as stale, so that it is re-evaluated on
+   * next access and everything that reads it is updated. Useful for
+   * computed properties that depend on non-reactive sources.
+   */
+  Vue.prototype.$invalidate = function (key: string) {
+    const vm: Component = this
+    const watcher = vm._computedWatchers && vm._computedWatchers[key]
+    if (watcher) {
+      watcher.invalidate()
+    } else if (process.env.NODE_ENV !== 'production' && !isServerRendering()) {
+      warn(`Cannot invalidate "${key}": it is not a computed property.`, vm)
+    }
+  }
 }
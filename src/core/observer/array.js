@@ -48,7 +48,10 @@ export const arrayMethods = Object.create(arrayProto)
     // 如果的确新增了数据的话，将 inserted 作为参数执行 observer.observeArray() 方法，把新增的每个元素都变成响应式的
     if (inserted) ob.observeArray(inserted)
     // 通知 ob.dep 中的依赖
-    ob.dep.notify()
+    ob.dep.notify(process.env.NODE_ENV !== 'production'
+      ? { target: this, type: 'array mutation', key: method }
+      : undefined
+    )
     // 在最后，返回 Array 方法执行的结果
     return result
   })
@@ -0,0 +1,193 @@
+// 该文件用于重写 Map、Set、WeakMap 和 WeakSet 原型上的方法
+// 和 array.js 中的 arrayMethods 一样，这些拦截器对象会被设置到集合实例的原型链上(__proto__)，
+// 读取集合的方法（get、has、size、遍历）会收集依赖，修改集合的方法（set、add、delete、clear）会触发依赖的更新
+
+import Dep from './dep'
+import { observe, dependArray } from './index'
+import { def, hasSymbol, toRawType } from '../util/index'
+
+export function isCollection (value) {
+  const type = toRawType(value)
+  return type === 'Map' || type === 'Set' ||
+    type === 'WeakMap' || type === 'WeakSet'
+}
+
+// 拦截器对象，按照集合的类型进行存储，例如：collectionMethods.Map
+export const collectionMethods = Object.create(null)
+
+/**
+ * Get the interceptor object for a collection.
+ */
+export function getCollectionMethods (value) {
+  return collectionMethods[toRawType(value)]
+}
+
+/**
+ * Get the keys of an interceptor object, used by copyAugment.
+ * The `size` accessor is left out as it can only be read on a
+ * real collection.
+ */
+export function getCollectionKeys (methods) {
+  const keys = Object.getOwnPropertyNames(methods)
+    .filter(key => key !== 'size')
+  return hasSymbol
+    ? keys.concat(Object.getOwnPropertySymbols(methods))
+    : keys
+}
+
+/**
+ * 集合的读取操作：将当前的 Dep.target 收集到集合的 ob.dep 中
+ */
+function dependCollection (collection, type, key) {
+  const ob = collection.__ob__
+  if (ob && Dep.target) {
+    ob.dep.depend(process.env.NODE_ENV !== 'production'
+      ? { target: collection, type, key }
+      : undefined
+    )
+  }
+}
+
+function dependValue (value) {
+  if (value && value.__ob__) {
+    value.__ob__.dep.depend()
+    if (Array.isArray(value)) {
+      dependArray(value)
+    }
+  }
+}
+
+function notifyCollection (collection, type, key, newValue, oldValue) {
+  const ob = collection.__ob__
+  if (ob) {
+    ob.dep.notify(process.env.NODE_ENV !== 'production'
+      ? { target: collection, type, key, newValue, oldValue }
+      : undefined
+    )
+  }
+}
+
+function hasChanged (value, oldValue) {
+  /* eslint-disable no-self-compare */
+  return value !== oldValue && (value === value || oldValue === oldValue)
+  /* eslint-enable no-self-compare */
+}
+
+function createCollectionMethods (Ctor) {
+  // 和 arrayMethods 一样，拦截器对象的原型链指向集合原生的原型对象
+  const proto = Ctor.prototype
+  const methods = Object.create(proto)
+  const originalHas = proto.has
+  const originalGet = proto.get
+  const sizeDescriptor = Object.getOwnPropertyDescriptor(proto, 'size')
+  const originalSize = sizeDescriptor && sizeDescriptor.get
+  const originalForEach = proto.forEach
+
+  // 读取集合的方法
+  if (originalGet) {
+    def(methods, 'get', function get (key) {
+      const value = originalGet.call(this, key)
+      if (Dep.target) {
+        dependCollection(this, 'get', key)
+        dependValue(value)
+      }
+      return value
+    })
+  }
+
+  def(methods, 'has', function has (key) {
+    dependCollection(this, 'has', key)
+    return originalHas.call(this, key)
+  })
+
+  // WeakMap 和 WeakSet 是不可遍历的，也没有 size 属性
+  if (originalSize) {
+    Object.defineProperty(methods, 'size', {
+      enumerable: false,
+      configurable: true,
+      get () {
+        dependCollection(this, 'iterate')
+        return originalSize.call(this)
+      }
+    })
+  }
+
+  const iterators = ['forEach', 'keys', 'values', 'entries']
+  if (hasSymbol) {
+    iterators.push(Symbol.iterator)
+  }
+  iterators.forEach(method => {
+    const original = proto[method]
+    if (typeof original === 'function') {
+      def(methods, method, function iterator (...args) {
+        dependCollection(this, 'iterate')
+        // 遍历集合的时候，元素本身的变化也需要收集（和 dependArray 的作用一样）
+        if (Dep.target) {
+          originalForEach.call(this, dependValue)
+        }
+        return original.apply(this, args)
+      })
+    }
+  })
+
+  // 修改集合的方法，只有在集合的内容真正发生了变化时，才会触发依赖的更新
+  if (proto.set) {
+    const originalSet = proto.set
+    def(methods, 'set', function set (key, value) {
+      const hadKey = originalHas.call(this, key)
+      const oldValue = originalGet.call(this, key)
+      originalSet.call(this, key, value)
+      if (!hadKey || hasChanged(value, oldValue)) {
+        // 新增的值也需要转换成响应式的
+        observe(value)
+        notifyCollection(this, hadKey ? 'set' : 'add', key, value, oldValue)
+      }
+      return this
+    })
+  }
+
+  if (proto.add) {
+    const originalAdd = proto.add
+    def(methods, 'add', function add (value) {
+      if (!originalHas.call(this, value)) {
+        originalAdd.call(this, value)
+        observe(value)
+        notifyCollection(this, 'add', value, value)
+      }
+      return this
+    })
+  }
+
+  const originalDelete = proto.delete
+  def(methods, 'delete', function remove (key) {
+    const result = originalDelete.call(this, key)
+    if (result) {
+      notifyCollection(this, 'delete', key)
+    }
+    return result
+  })
+
+  if (proto.clear) {
+    const originalClear = proto.clear
+    def(methods, 'clear', function clear () {
+      const hadItems = originalSize.call(this) !== 0
+      originalClear.call(this)
+      if (hadItems) {
+        notifyCollection(this, 'clear')
+      }
+    })
+  }
+
+  return methods
+}
+
+;[
+  ['Map', typeof Map !== 'undefined' && Map],
+  ['Set', typeof Set !== 'undefined' && Set],
+  ['WeakMap', typeof WeakMap !== 'undefined' && WeakMap],
+  ['WeakSet', typeof WeakSet !== 'undefined' && WeakSet]
+].forEach(([type, Ctor]) => {
+  if (Ctor) {
+    collectionMethods[type] = createCollectionMethods(Ctor)
+  }
+})
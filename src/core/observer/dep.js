@@ -1,7 +1,21 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
+
+/**
+ * Extra info passed to dep.depend()/dep.notify() in development, so that
+ * watchers with onTrack/onTrigger options can tell what caused them to
+ * collect or be triggered by a dependency.
+ */
+export type DebuggerEventExtraInfo = {
+  target: any;
+  // get | has | iterate | set | add | delete | clear | array mutation
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
 
 // 起到一个计数的作用，每实例化 Dep 类一次，uid 就会加一
 let uid = 0
@@ -43,20 +57,32 @@ export default class Dep {
 
   // 依赖函数
   // 执行该函数可以将 Dep.target 依赖 push 进 subs 数组中
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      // 开发环境下，每一次求值中第一次收集到这个 dep 时，通知 watcher 的 onTrack
+      const onTrack = process.env.NODE_ENV !== 'production' && info &&
+        target.onTrack
+      const isNewDep = !!onTrack && !target.newDepIds.has(this.id)
+      target.addDep(this)
+      if (onTrack && isNewDep) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
 
   // 触发 subs 数组中依赖的更新操作
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // 数组的 slice 函数具有拷贝的作用
     const subs = this.subs.slice()
     // 遍历 subs 数组中的依赖项
     for (let i = 0, l = subs.length; i < l; i++) {
+      const onTrigger = process.env.NODE_ENV !== 'production' && info && subs[i].onTrigger
+      if (onTrigger) {
+        onTrigger(extend({ effect: subs[i] }, info))
+      }
       // 执行依赖项的 update 函数，触发执行依赖
-      subs[i].update()
+      subs[i].update(info)
     }
   }
 }
@@ -1,13 +1,29 @@
 /* @flow */
 
+import config from '../config'
 import Dep from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import {
+  isCollection,
+  getCollectionKeys,
+  getCollectionMethods
+} from './collection'
+import {
+  observeChildren,
+  createReactiveProxy
+} from './reactive-proxy'
+import {
+  isReadonly,
+  warnReadonly,
+  unwrapReadonly
+} from './readonly'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isValidArrayIndex,
@@ -45,6 +61,10 @@ export class Observer {
   // number of vms that has this object as root $data
   // 将此对象作为根 $data 的 vms 数量
   vmCount: number;
+  // the Proxy that tracks this value in 'proxy' reactivity mode,
+  // and the deps of its individual keys
+  proxy: any;
+  keyDeps: ?{ [key: string]: Dep };
 
   constructor (value: any) {
     // 将要被转换成响应式的数据保存到 this.value 中
@@ -57,6 +77,14 @@ export class Observer {
     // 通过 def 函数进行属性的定义，该属性的 enumerable 特性是 false，
     // 也就是说，walk 方法中的 Object.keys() 是拿不到 __ob__ 这个 key 的，因为 value 的这个属性（__ob__）是不需要变成响应式的
     def(value, '__ob__', this)
+    if (useProxy()) {
+      // proxy 模式下，key 的读取、新增、删除都由 Proxy 拦截，
+      // 所以不需要将 key 转换成 getter/setter，只需要将子值转换成响应式的即可
+      this.keyDeps = Object.create(null)
+      this.proxy = createReactiveProxy(value)
+      observeChildren(value)
+      return
+    }
     // 判断当前被转换的值是不是数组类型
     // 数组类型和对象类型有不同的转换方法
     if (Array.isArray(value)) {
@@ -77,6 +105,13 @@ export class Observer {
       // 除了数组本身应该是响应式的，数组中的元素也应该是响应式的
       // observeArray 方法用于将数组中的元素都转换成响应式的
       this.observeArray(value)
+    } else if (isCollection(value)) {
+      // Map、Set、WeakMap 和 WeakSet 的处理方式和数组一样，使用拦截器拦截原型上的方法
+      // 先转换集合中已有的值，再设置拦截器
+      this.observeCollection(value)
+      const methods = getCollectionMethods(value)
+      const augment = hasProto ? protoAugment : copyAugment
+      augment(value, methods, getCollectionKeys(methods))
     } else {
       // 用于将对象中的属性都转换成响应式的
       this.walk(value)
@@ -104,10 +139,28 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * 用于将集合中的值都转换成响应式的（WeakMap 和 WeakSet 是不可遍历的）
+   */
+  observeCollection (collection: any) {
+    if (typeof collection.forEach === 'function') {
+      collection.forEach(value => {
+        observe(value)
+      })
+    }
+  }
 }
 
 // 辅助方法
 
+/**
+ * Whether newly observed values should be tracked through a Proxy.
+ */
+function useProxy (): boolean {
+  return config.reactivityMode === 'proxy' && hasProxy
+}
+
 /**
  * Augment an target Object or Array by intercepting
  * the prototype chain using __proto__
@@ -146,6 +199,8 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   if (!isObject(value) || value instanceof VNode) {
     return
   }
+  // 只读视图本身不会被转换，转换的是它背后的对象
+  value = unwrapReadonly(value)
   // 声明要返回的 ob 变量
   let ob: Observer | void
   // 如果当前 value 有 __ob__ 属性，且这个属性是 Observer 类的实例的话
@@ -155,7 +210,7 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     observerState.shouldConvert &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
@@ -169,9 +224,6 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   return ob
 }
 
-obj.names = ['小明', '小红', '小山']
-obj.names.push('alice')
-
 /**
  * Define a reactive property on an Object.
  */
@@ -221,7 +273,10 @@ export function defineReactive (
       // 如果 Dep 上的静态属性 target 存在的话
       if (Dep.target) {
         // 向 dep 中添加依赖，依赖是 Watcher 的实例
-        dep.depend()
+        dep.depend(process.env.NODE_ENV !== 'production'
+          ? { target: obj, type: 'get', key }
+          : undefined
+        )
         if (childOb) {
           // childOb.dep 用来存储数组类型值的依赖
           childOb.dep.depend()
@@ -232,7 +287,10 @@ export function defineReactive (
         }
       }
       // getter 返回值
-      return value
+      // proxy 模式下返回子值的代理对象，这样对子值的修改也能被拦截到
+      return childOb && childOb.proxy && childOb.value === value
+        ? childOb.proxy
+        : value
     },
     // 在此进行派发更新
     set: function reactiveSetter (newVal) {
@@ -256,7 +314,10 @@ export function defineReactive (
       // 将新设置值中的 keys 也转换成响应式的
       childOb = !shallow && observe(newVal)
       // 触发依赖的更新
-      dep.notify()
+      dep.notify(process.env.NODE_ENV !== 'production'
+        ? { target: obj, type: 'set', key, newValue: newVal, oldValue: value }
+        : undefined
+      )
     }
   })
 }
@@ -265,6 +326,17 @@ export function defineReactive (
  * vm.$set 的底层实现
  */
 export function set (target: Array<any> | Object, key: any, val: any): any {
+  if (isReadonly(target)) {
+    warnReadonly('Set', key)
+    return val
+  }
+  const ob = (target: any).__ob__
+  // proxy 模式下，新增的 key 也能被 Proxy 拦截到，所以直接通过代理对象赋值即可
+  // 根 data 仍然走下面的逻辑，打印出警告
+  if (ob && ob.proxy && !ob.vmCount) {
+    ob.proxy[key] = val
+    return val
+  }
   // 如果 target 是一个数组，并且 key 也是一个有效的数组索引值的话
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 设置数组的 length 属性，设置的属性值是 "数组原长度" 和 "key" 中的最大值
@@ -283,7 +355,6 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   }
 
   // 判断 target 是不是一个 Vue 的实例，或者 根data，如果是的话，发出警报，并 return
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid adding reactive properties to a Vue instance or its root $data ' +
@@ -302,7 +373,10 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   // 在这里使用 defineReactive 将 val 变成 getter/setter 的形式
   defineReactive(ob.value, key, val)
   // 因为新增了一个属性，所以 ob.value 变化了，所以在这里需要出发依赖的更新
-  ob.dep.notify()
+  ob.dep.notify(process.env.NODE_ENV !== 'production'
+    ? { target, type: 'add', key, newValue: val }
+    : undefined
+  )
   return val
 }
 
@@ -312,13 +386,25 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
 // Vue 对数据的监控是通过 Object.defineProperty() 实现的，所以当用户通过 delete 关键字删除某个字段时，Vue 是检测不到的，
 // 为了解决这个问题，Vue 提供了 vm.$delete 来解决这个问题
 export function del (target: Array<any> | Object, key: any) {
+  if (isReadonly(target)) {
+    warnReadonly('Delete', key)
+    return
+  }
+  const ob = (target: any).__ob__
+  if (ob && ob.proxy && !ob.vmCount) {
+    if (Array.isArray(target) && isValidArrayIndex(key)) {
+      ob.proxy.splice(key, 1)
+    } else {
+      delete ob.proxy[key]
+    }
+    return
+  }
   // 如果 target 是一个数组，并且 key 是一个下标值的话
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 执行数组原型上的 splice 方法，该方法会执行删除的操作，并且会出发依赖的更新
     target.splice(key, 1)
     return
   }
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid deleting properties on a Vue instance or its root $data ' +
@@ -337,7 +423,10 @@ export function del (target: Array<any> | Object, key: any) {
     return
   }
   // 出发依赖的更新操作
-  ob.dep.notify()
+  ob.dep.notify(process.env.NODE_ENV !== 'production'
+    ? { target, type: 'delete', key }
+    : undefined
+  )
 }
 
 /**
@@ -347,7 +436,7 @@ export function del (target: Array<any> | Object, key: any) {
 /**
  * 当数组 value 被使用的时候，收集数组中元素的依赖
  */
-function dependArray (value: Array<any>) {
+export function dependArray (value: Array<any>) {
   for (let e, i = 0, l = value.length; i < l; i++) {
     e = value[i]
     e && e.__ob__ && e.__ob__.dep.depend()
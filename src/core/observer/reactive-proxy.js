@@ -0,0 +1,307 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import Dep from './dep'
+import { isCollection } from './collection'
+import { observe, dependArray } from './index'
+import {
+  hasOwn,
+  isObject,
+  hasSymbol,
+  toRawType,
+  isValidArrayIndex
+} from '../util/index'
+
+/**
+ * Proxy-based reactivity (config.reactivityMode = 'proxy').
+ *
+ * Instead of converting each key into getter/setters, the observed
+ * object is wrapped in an ES2015 Proxy whose traps collect dependencies
+ * and dispatch updates. This allows tracking of keys that did not exist
+ * at observation time, deletions, `in` checks, key enumeration and
+ * Map/Set/WeakMap/WeakSet mutations.
+ */
+/**
+ * 每一个 key 都有一个对应的 dep（保存在 ob.keyDeps 中），用于 key 级别的依赖收集和派发更新；
+ * ob.dep 则用于保存对象"结构"的依赖：新增 key、删除 key、Object.keys 遍历、集合类型的读写。
+ */
+
+export function createReactiveProxy (value) {
+  return new Proxy(value, isCollection(value)
+    ? collectionHandlers
+    : baseHandlers
+  )
+}
+
+/**
+ * Convert the values an object already holds, so that they have
+ * their own observers (and proxies) before they are first read.
+ */
+export function observeChildren (value) {
+  if (Array.isArray(value)) {
+    for (let i = 0, l = value.length; i < l; i++) {
+      observe(value[i])
+    }
+  } else if (isCollection(value)) {
+    // WeakMap 和 WeakSet 是不可遍历的，只能在 set/add 的时候进行转换
+    if (typeof value.forEach === 'function') {
+      value.forEach(val => { observe(val) })
+    }
+  } else {
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      observe(value[keys[i]])
+    }
+  }
+}
+
+/**
+ * Return the proxy of an observed value, or the value itself.
+ */
+export function toReactive (value) {
+  const ob = observe(value)
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the raw object behind a reactive proxy, or the value itself.
+ */
+export function toRaw (value) {
+  return isObject(value) && value.__ob__ && value.__ob__.proxy === value
+    ? value.__ob__.value
+    : value
+}
+
+function getKeyDep (ob, key) {
+  // 不存在的 key 也需要创建 dep，这样 `key in obj` 之后新增该 key 时也能触发更新
+  return ob.keyDeps[key] || (ob.keyDeps[key] = new Dep())
+}
+
+/**
+ * Debug info for dep.depend()/dep.notify(), only created in development.
+ */
+function debugInfo (target, type, key, newValue, oldValue) {
+  return process.env.NODE_ENV !== 'production'
+    ? { target, type, key, newValue, oldValue }
+    : undefined
+}
+
+function notifyKey (ob, key, info) {
+  const dep = ob.keyDeps[key]
+  if (dep) {
+    dep.notify(info)
+  }
+}
+
+function hasChanged (value, oldValue) {
+  /* eslint-disable no-self-compare */
+  return value !== oldValue && (value === value || oldValue === oldValue)
+  /* eslint-enable no-self-compare */
+}
+
+function isTracked (key) {
+  return typeof key !== 'symbol' && key !== '__ob__'
+}
+
+const baseHandlers = {
+  get (target, key, receiver) {
+    const value = Reflect.get(target, key, receiver)
+    if (!isTracked(key)) {
+      return value
+    }
+    if (Dep.target) {
+      getKeyDep(target.__ob__, key).depend(debugInfo(target, 'get', key))
+      const childOb = observe(value)
+      if (childOb) {
+        childOb.dep.depend()
+        if (Array.isArray(value)) {
+          dependArray(value)
+        }
+      }
+    }
+    return toReactive(value)
+  },
+
+  set (target, key, value, receiver) {
+    const ob = target.__ob__
+    const isArray = Array.isArray(target)
+    const hadKey = isArray && isValidArrayIndex(key)
+      ? Number(key) < target.length
+      : hasOwn(target, key)
+    const oldValue = target[key]
+    // 保存原始对象而不是代理对象，避免出现代理的代理
+    value = toRaw(value)
+    const result = Reflect.set(target, key, value, receiver)
+    if (!isTracked(key)) {
+      return result
+    }
+    if (!hadKey) {
+      // 新增 key：通知该 key 的依赖以及对象结构的依赖
+      const info = debugInfo(target, 'add', key, value)
+      observe(value)
+      notifyKey(ob, key, info)
+      ob.dep.notify(info)
+    } else if (hasChanged(value, oldValue)) {
+      const info = debugInfo(target, 'set', key, value, oldValue)
+      observe(value)
+      notifyKey(ob, key, info)
+      // 直接修改数组的 length 会增删数组元素
+      if (isArray && key === 'length') {
+        ob.dep.notify(info)
+      }
+    }
+    return result
+  },
+
+  deleteProperty (target, key) {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (hadKey && result && isTracked(key)) {
+      const ob = target.__ob__
+      const info = debugInfo(target, 'delete', key)
+      notifyKey(ob, key, info)
+      ob.dep.notify(info)
+    }
+    return result
+  },
+
+  has (target, key) {
+    if (Dep.target && isTracked(key)) {
+      getKeyDep(target.__ob__, key).depend(debugInfo(target, 'has', key))
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target) {
+    if (Dep.target) {
+      target.__ob__.dep.depend(debugInfo(target, 'iterate'))
+    }
+    return Reflect.ownKeys(target)
+  }
+}
+
+/**
+ * Collection methods can't be called with the proxy as receiver, so the
+ * proxy hands out these instrumented versions that operate on the raw
+ * collection. Changes to a collection are tracked on its ob.dep.
+ */
+const collectionMethods = Object.create(null)
+
+function track (target, type, key) {
+  if (Dep.target) {
+    target.__ob__.dep.depend(debugInfo(target, type, key))
+  }
+}
+
+function trigger (target, type, key, newValue, oldValue) {
+  target.__ob__.dep.notify(debugInfo(target, type, key, newValue, oldValue))
+}
+
+collectionMethods.get = function (key) {
+  const target = toRaw(this)
+  track(target, 'get', key)
+  return toReactive(target.get(toRaw(key)))
+}
+
+collectionMethods.has = function (key) {
+  const target = toRaw(this)
+  track(target, 'has', key)
+  return target.has(toRaw(key))
+}
+
+collectionMethods.set = function (key, value) {
+  const target = toRaw(this)
+  key = toRaw(key)
+  value = toRaw(value)
+  const hadKey = target.has(key)
+  const oldValue = target.get(key)
+  target.set(key, value)
+  if (!hadKey || hasChanged(value, oldValue)) {
+    observe(value)
+    trigger(target, hadKey ? 'set' : 'add', key, value, oldValue)
+  }
+  return this
+}
+
+collectionMethods.add = function (value) {
+  const target = toRaw(this)
+  value = toRaw(value)
+  if (!target.has(value)) {
+    target.add(value)
+    observe(value)
+    trigger(target, 'add', value, value)
+  }
+  return this
+}
+
+collectionMethods.delete = function (key) {
+  const target = toRaw(this)
+  const result = target.delete(toRaw(key))
+  if (result) {
+    trigger(target, 'delete', key)
+  }
+  return result
+}
+
+collectionMethods.clear = function () {
+  const target = toRaw(this)
+  const hadItems = target.size !== 0
+  target.clear()
+  if (hadItems) {
+    trigger(target, 'clear')
+  }
+}
+
+collectionMethods.forEach = function (cb, thisArg) {
+  const target = toRaw(this)
+  const observed = this
+  track(target, 'iterate')
+  target.forEach((value, key) => {
+    cb.call(thisArg, toReactive(value), toReactive(key), observed)
+  })
+}
+
+const iterationMethods = ['keys', 'values', 'entries']
+if (hasSymbol) {
+  iterationMethods.push(Symbol.iterator)
+}
+
+iterationMethods.forEach(method => {
+  collectionMethods[method] = function () {
+    const target = toRaw(this)
+    track(target, 'iterate')
+    const iterator = target[method]()
+    const isPair = method === 'entries' ||
+      (method === Symbol.iterator && toRawType(target) === 'Map')
+    const result = {
+      next () {
+        const { value, done } = iterator.next()
+        return done
+          ? { value, done }
+          : {
+            value: isPair
+              ? [toReactive(value[0]), toReactive(value[1])]
+              : toReactive(value),
+            done
+          }
+      }
+    }
+    // buble 不支持对象字面量中的计算属性方法，所以这里用赋值的方式定义
+    result[Symbol.iterator] = function () {
+      return this
+    }
+    return result
+  }
+})
+
+const collectionHandlers = {
+  get (target, key, receiver) {
+    if (key === 'size') {
+      track(target, 'iterate')
+      return Reflect.get(target, key, target)
+    }
+    if (hasOwn(collectionMethods, key) && key in target) {
+      return collectionMethods[key]
+    }
+    return Reflect.get(target, key, target)
+  }
+}
@@ -0,0 +1,161 @@
+/* @flow */
+
+import Dep from './dep'
+import Watcher from './watcher'
+import { defineReactive } from './index'
+import { toReactive } from './reactive-proxy'
+import { currentInstance } from '../instance/setup'
+import {
+  warn,
+  noop,
+  def,
+  extend,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+/**
+ * 脱离组件使用的响应式 API：Vue.observable、Vue.ref、Vue.computed、Vue.watch 和 Vue.watchEffect
+ * 在组件外部使用时，它们创建的 watcher 没有所属的 vm，需要通过返回的 stop 句柄手动停止；
+ * 在 setup() 中使用时，watcher 属于当前的组件实例，组件销毁时会自动停止
+ */
+
+/**
+ * Make an object reactive and return it. In proxy mode the
+ * reactive proxy is returned instead of the raw object.
+ */
+export function observable<T> (obj: T): T {
+  if (process.env.NODE_ENV !== 'production' &&
+    !Array.isArray(obj) && !isPlainObject(obj)
+  ) {
+    warn(`Vue.observable() expects a plain object or an array, got: ${String(obj)}`)
+  }
+  return toReactive(obj)
+}
+
+/**
+ * Create a ref: a reactive container for a single value, read and
+ * written through its `value` property.
+ */
+export function ref (value: any): Object {
+  const r = {}
+  def(r, '_isRef', true)
+  defineReactive(r, 'value', value)
+  return r
+}
+
+export function isRef (value: any): boolean {
+  return !!(value && value._isRef === true)
+}
+
+/**
+ * Create a lazily evaluated, cached computed ref. Its `value` is
+ * only re-evaluated when a dependency has changed, and reading it
+ * inside another watcher makes that watcher depend on the
+ * computed's dependencies. Call `stop()` to release them.
+ */
+export function computed (getterOrOptions: Function | Object): Object {
+  const getter = typeof getterOrOptions === 'function'
+    ? getterOrOptions
+    : getterOrOptions.get
+  const setter = typeof getterOrOptions === 'function'
+    ? null
+    : getterOrOptions.set
+  if (process.env.NODE_ENV !== 'production' && typeof getter !== 'function') {
+    warn('Getter is missing for Vue.computed().')
+  }
+  const watcher = new Watcher(currentInstance, getter || noop, noop, { lazy: true })
+  const ref = {
+    get value () {
+      // 和组件的计算属性一样（参见 createComputedGetter），停止之后返回最后一次计算的值
+      if (watcher.active) {
+        if (watcher.dirty) {
+          watcher.evaluate()
+        }
+        if (Dep.target) {
+          watcher.depend()
+        }
+      }
+      return watcher.value
+    },
+    set value (val) {
+      if (setter) {
+        setter(val)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('Computed value was assigned to but it has no setter.')
+      }
+    }
+  }
+  def(ref, '_isRef', true)
+  def(ref, 'stop', function stop () {
+    watcher.teardown()
+  })
+  return ref
+}
+
+/**
+ * Run a function immediately and re-run it (asynchronously, through
+ * the watcher scheduler) whenever the reactive data it reads changes.
+ * Returns a function that stops the effect.
+ */
+export function watchEffect (fn: Function): Function {
+  // effect 本身就是 watcher 的 getter，每次 run() 都会重新执行 fn 并重新收集依赖
+  const watcher = new Watcher(currentInstance, fn, noop, { user: true })
+  return function stop () {
+    watcher.teardown()
+  }
+}
+
+/**
+ * Watch a source and call `cb` with the new and the old value (and an
+ * `onCleanup` function) when it changes. The source can be a getter
+ * function, a ref, a reactive object (watched deeply) or an array of
+ * those. Accepts the same options as `vm.$watch` and returns a function
+ * that stops watching.
+ */
+export function watch (source: any, cb: Function, options?: Object): Function {
+  options = extend({}, options)
+  options.user = true
+  let getter
+  if (Array.isArray(source)) {
+    // 传入 getter 数组，watcher 会把它当作多数据源，只有某个数据源变化时才执行回调
+    getter = source.map(normalizeWatchSource)
+  } else {
+    if (typeof source !== 'function' && !isRef(source)) {
+      options.deep = true
+    }
+    getter = normalizeWatchSource(source)
+  }
+  const vm = currentInstance
+  const watcher = new Watcher(vm, getter, cb, options)
+  if (options.immediate) {
+    invokeWithErrorHandling(
+      cb,
+      vm,
+      [watcher.value, undefined, watcher.onCleanup],
+      vm,
+      'callback for immediate watcher'
+    )
+  }
+  return function stop () {
+    watcher.teardown()
+  }
+}
+
+function normalizeWatchSource (source: any): Function {
+  if (typeof source === 'function') {
+    return source
+  }
+  if (isRef(source)) {
+    return () => source.value
+  }
+  if (process.env.NODE_ENV !== 'production' &&
+    !Array.isArray(source) && !isPlainObject(source)
+  ) {
+    warn(
+      `Invalid watch source: ${String(source)}. A watch source can only be ` +
+      `a getter function, a ref, a reactive object, or an array of these.`
+    )
+  }
+  return () => source
+}
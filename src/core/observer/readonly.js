@@ -0,0 +1,174 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import config from '../config'
+import { isCollection } from './collection'
+import {
+  warn,
+  hasProxy,
+  hasSymbol,
+  toRawType,
+  capitalize,
+  isPlainObject
+} from '../util/index'
+
+/**
+ * Deep readonly views (Vue.readonly, `readonly: true` on props and inject).
+ *
+ * A readonly view is a Proxy over a (possibly reactive) object. Reads go
+ * through to the object so dependencies are still collected, nested
+ * objects are handed out as readonly views as well, and any write is
+ * reported: a warning in development, or an error when
+ * config.strictReadonly is enabled.
+ */
+/**
+ * 只读视图的读取操作会转发给背后的对象（defineProperty 模式下是原始对象，proxy 模式下是响应式代理），
+ * 所以依赖收集不受影响；写操作（赋值、delete、集合的 set/add/delete/clear、Vue.set/Vue.delete）会被拦截。
+ */
+
+// 背后的对象 => 只读视图，保证同一个对象的只读视图始终是同一个
+const readonlyViews = hasProxy ? new WeakMap() : null
+// 只读视图 => 背后的对象
+const readonlyTargets = hasProxy ? new WeakMap() : null
+
+/**
+ * Return a deep readonly view of a plain object, array or collection.
+ * Other values (and all values where Proxy is not supported) are
+ * returned as is.
+ */
+export function readonly (value) {
+  if (!hasProxy || !canBeReadonly(value) || readonlyTargets.has(value)) {
+    return value
+  }
+  // proxy 模式下，通过响应式代理读取属性才能收集依赖
+  const ob = value.__ob__
+  const target = ob && ob.proxy ? ob.proxy : value
+  let view = readonlyViews.get(target)
+  if (!view) {
+    view = new Proxy(target, isCollection(value)
+      ? collectionHandlers
+      : baseHandlers
+    )
+    readonlyViews.set(target, view)
+    readonlyTargets.set(view, target)
+  }
+  return view
+}
+
+export function isReadonly (value) {
+  return !!readonlyTargets && readonlyTargets.has(value)
+}
+
+/**
+ * Return the object behind a readonly view, or the value itself.
+ */
+export function unwrapReadonly (value) {
+  return isReadonly(value) ? readonlyTargets.get(value) : value
+}
+
+/**
+ * Report a write to a readonly view.
+ */
+export function warnReadonly (type, key) {
+  const msg = `${type} operation on key "${String(key)}" failed: target is readonly.`
+  if (config.strictReadonly) {
+    throw new Error(msg)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warn(msg)
+  }
+}
+
+function canBeReadonly (value) {
+  return (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
+    !Object.isFrozen(value)
+}
+
+const baseHandlers = {
+  get (target, key, receiver) {
+    const value = Reflect.get(target, key, receiver)
+    return key === '__ob__' ? value : readonly(value)
+  },
+
+  // 在非严格模式下也要返回 true，否则严格模式的代码（例如 ES module）中的赋值会抛出 TypeError
+  set (target, key) {
+    warnReadonly('Set', key)
+    return true
+  },
+
+  deleteProperty (target, key) {
+    warnReadonly('Delete', key)
+    return true
+  }
+}
+
+/**
+ * Collection methods have to be called on the collection itself, so
+ * the readonly view hands out versions that are bound to it and wrap
+ * the values they return.
+ */
+const collectionWriteMethods = ['set', 'add', 'delete', 'clear']
+
+const collectionHandlers = {
+  get (target, key, receiver) {
+    if (collectionWriteMethods.indexOf(key) > -1) {
+      return function () {
+        warnReadonly(capitalize(key), arguments[0])
+        return key === 'delete' ? false : receiver
+      }
+    }
+    const value = Reflect.get(target, key, target)
+    if (typeof value !== 'function') {
+      return value
+    }
+    if (key === 'get') {
+      return k => readonly(value.call(target, k))
+    }
+    if (key === 'forEach') {
+      return (cb, thisArg) => value.call(target, (v, k) => {
+        cb.call(thisArg, readonly(v), readonly(k), receiver)
+      })
+    }
+    if (key === 'keys' || key === 'values' || key === 'entries' ||
+      (hasSymbol && key === Symbol.iterator)
+    ) {
+      return () => readonlyIterator(
+        value.call(target),
+        key === 'entries' || (key !== 'keys' && key !== 'values' &&
+          toRawType(target) === 'Map')
+      )
+    }
+    return value.bind(target)
+  },
+
+  set (target, key) {
+    warnReadonly('Set', key)
+    return true
+  },
+
+  deleteProperty (target, key) {
+    warnReadonly('Delete', key)
+    return true
+  }
+}
+
+function readonlyIterator (iterator, isPair) {
+  const result = {
+    next () {
+      const { value, done } = iterator.next()
+      return done
+        ? { value, done }
+        : {
+          value: isPair
+            ? [readonly(value[0]), readonly(value[1])]
+            : readonly(value),
+          done
+        }
+    }
+  }
+  if (hasSymbol) {
+    result[Symbol.iterator] = function () {
+      return this
+    }
+  }
+  return result
+}
@@ -1,21 +1,31 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
   nextTick,
-  devtools
+  devtools,
+  formatComponentName
 } from '../util/index'
 
+// 默认的最大循环更新次数，可以通过 config.maxUpdateCount 进行配置
 export const MAX_UPDATE_COUNT = 100
 
+type Trigger = {
+  by: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
+
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+// 开发环境下，记录刷新过程中每个 watcher 最近一次是被哪个 watcher、哪个数据重新加入队列的
+let triggers: { [key: number]: Trigger } = {}
 let waiting = false
 let flushing = false
 let index = 0
@@ -32,10 +42,32 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
   }
   waiting = flushing = false
 }
 
+/**
+ * The position of a watcher in the queue. Watchers with flush: 'pre'
+ * are placed right before the render watcher of their component (even
+ * if they were created after it), and watchers with flush: 'post' are
+ * placed after all others, so that they run once the DOM is patched.
+ */
+function compareWatchers (a: Watcher, b: Watcher): number {
+  if (a.post !== b.post) {
+    return a.post ? 1 : -1
+  }
+  return getSortId(a) - getSortId(b)
+}
+
+function getSortId (watcher: Watcher): number {
+  const vm = watcher.vm
+  if (watcher.pre && vm && vm._watcher && vm._watcher.id < watcher.id) {
+    return vm._watcher.id - 0.5
+  }
+  return watcher.id
+}
+
 /**
  * 执行队列中 watcher 实例的 run 方法，触发执行完之后，会对 queue 数组进行清空操作
  */
@@ -48,7 +80,8 @@ function flushSchedulerQueue () {
   //  1. 组件从父级更新到子级(因为父级组件总是在子组件之前创建）。
   //  2. 组件的自定义 watcher 在组件的渲染 watcher 之前运行（因为自定义 watcher 在渲染 watcher 之前创建）。
   //  3. 如果在父组件的渲染 watcher 运行期间，子组件被销毁，该子组件的 watcher 会被跳过。
-  queue.sort((a, b) => a.id - b.id)
+  //  4. flush 为 pre 的 watcher 在所属组件的渲染 watcher 之前运行，flush 为 post 的 watcher 最后运行。
+  queue.sort(compareWatchers)
 
   // 不要使用变量固定缓存当前状态 watcher 队列的长度，，因为新的 watcher 有可能随时被 push 到队列中
   // 遍历触发执行队列中的 watcher 实例
@@ -57,8 +90,6 @@ function flushSchedulerQueue () {
     id = watcher.id
     // 将 map 中，当前 watcher 的 id 置空
     has[id] = null
-    // 核心：执行 watcher 实例的 run 方法
-    watcher.run()
     // 非生产环境下，检测有没有循环更新的问题，如果有的话，发出警报
     // 那么什么情况下，会出现这种问题呢？看下面的例子代码，就会出现这种警告。
     // data: {
@@ -69,20 +100,28 @@ function flushSchedulerQueue () {
     //     this.msg = Math.random()
     //   }
     // }
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
+    // 统计的是 watcher 在这次刷新中重复执行的次数，所以多个 watcher 之间相互触发的循环更新也能被检测到
+    if (process.env.NODE_ENV !== 'production') {
+      circular[id] = id in circular ? circular[id] + 1 : 0
+      if (circular[id] > config.maxUpdateCount) {
+        const chain = getTriggerChain(watcher)
         warn(
           'You may have an infinite update loop ' + (
             watcher.user
               ? `in watcher with expression "${watcher.expression}"`
               : `in a component render function.`
+          ) + (
+            chain.length
+              ? `\nTrigger chain:\n${chain.map(line => `  ${line}`).join('\n')}`
+              : ''
           ),
           watcher.vm
         )
         break
       }
     }
+    // 核心：执行 watcher 实例的 run 方法
+    watcher.run()
   }
 
   // keep copies of post queues before resetting state
@@ -104,12 +143,51 @@ function flushSchedulerQueue () {
   }
 }
 
+function describeWatcher (watcher: ?Watcher): string {
+  if (!watcher) {
+    return 'unknown'
+  }
+  const desc = watcher.user
+    ? `watcher "${watcher.expression}"`
+    : watcher.vm ? 'render function' : `watcher #${watcher.id}`
+  return watcher.vm ? `${desc} of ${formatComponentName(watcher.vm)}` : desc
+}
+
+function describeTrigger (info: ?DebuggerEventExtraInfo): string {
+  return info
+    ? `"${String(info.key)}" (${info.type})`
+    : 'an unknown dependency'
+}
+
+/**
+ * Walk the recorded triggers backwards from a looping watcher until a
+ * watcher repeats, which gives the cycle that keeps re-queueing it.
+ */
+function getTriggerChain (watcher: Watcher): Array<string> {
+  const chain = []
+  const seen = {}
+  let current = watcher
+  while (current && !seen[current.id]) {
+    seen[current.id] = true
+    const trigger = triggers[current.id]
+    if (!trigger) {
+      break
+    }
+    chain.push(
+      `${describeWatcher(current)} was triggered by ` +
+      `${describeTrigger(trigger.info)} changed in ${describeWatcher(trigger.by)}`
+    )
+    current = trigger.by
+  }
+  return chain
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted) {
+    if (vm && vm._watcher === watcher && vm._isMounted) {
       callHook(vm, 'updated')
     }
   }
@@ -141,9 +219,13 @@ function callActivatedHooks (queue) {
 /**
  * 该函数借助 flushing 和 waiting 变量实现流程的控制
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   // 根据 watcher 的 id 判断这个 watcher 实例有没有保存到队列中，只有没有被缓存的 watcher 实例才会进行接下来的操作
   const id = watcher.id
+  if (process.env.NODE_ENV !== 'production' && flushing) {
+    // 刷新过程中被重新加入队列，记录是当前正在执行的哪个 watcher 修改了哪个数据
+    triggers[id] = { by: queue[index], info }
+  }
   if (has[id] == null) {
     has[id] = true
     // 如果当前的队列不是刷新状态的话
@@ -151,9 +233,9 @@ export function queueWatcher (watcher: Watcher) {
       // 直接将 watcher push 到队列中即可
       queue.push(watcher)
     } else {
-      // 如果当前正在进行刷新 watcher 队列，此时需要将当前的 watcher 插入到队列中合适的位置（按照 watcher 的 id 从小到大排列）
+      // 如果当前正在进行刷新 watcher 队列，此时需要将当前的 watcher 插入到队列中合适的位置（和排序的规则一样）
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && compareWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
@@ -2,6 +2,8 @@
 
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import type { DebuggerEventExtraInfo } from './dep'
+import { isCollection } from './collection'
 
 import {
   warn,
@@ -9,7 +11,8 @@ import {
   isObject,
   parsePath,
   _Set as Set,
-  handleError
+  handleError,
+  invokeWithErrorHandling
 } from '../util/index'
 
 import type { ISet } from '../util/index'
@@ -19,7 +22,7 @@ let uid = 0
  * Watcher 有三种类型：（1）render Watcher；（2）computed Watcher；（3）user Watcher
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -29,7 +32,15 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  // flush 选项：pre 的 watcher 在所属组件重新渲染之前执行，post 的 watcher 在 DOM 更新之后执行
+  pre: boolean;
+  post: boolean;
+  // 是否同时侦听多个数据源，此时 value 是由每个数据源的值组成的数组
+  multi: boolean;
   dirty: boolean;
+  evaluated: boolean;
+  equals: ?Function;
+  dep: ?Dep;
   active: boolean;
   deps: Array<Dep>;
   newDeps: Array<Dep>;
@@ -37,17 +48,25 @@ export default class Watcher {
   newDepIds: ISet;
   getter: Function;
   value: any;
+  onTrack: ?Function;
+  onTrigger: ?Function;
+  // 用户在回调函数中通过 onCleanup 注册的清理函数
+  cleanup: ?Function;
+  onCleanup: Function;
 
   constructor (
-    vm: Component,
-    expOrFn: string | Function,
+    vm: ?Component,
+    expOrFn: string | Function | Array<string | Function>,
     cb: Function,
     options?: Object
   ) {
     // vm 是 Vue 的实例，
     this.vm = vm
     // vm 的 _watchers 数组用于收集该实例中用到的 watcher 实例，在这里将自身（this）push 到 _watchers 数组中
-    vm._watchers.push(this)
+    // 不依附于组件的 watcher（例如 Vue.computed、Vue.watchEffect 创建的）没有 vm
+    if (vm) {
+      vm._watchers.push(this)
+    }
     // 进行 options 参数的处理
     // 如果传递了 options 的话
     if (options) {
@@ -57,10 +76,18 @@ export default class Watcher {
       // 如果当前的 Watcher 实例是用于计算属性的话，lazy 为 true
       // 如果 lazy 为 true 的话，并不会立即执行 this.get 方法
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.pre = options.flush === 'pre'
+      this.post = options.flush === 'post'
+      this.equals = options.equals
+      // 开发环境下的调试钩子：收集到依赖时执行 onTrack，被依赖触发更新时执行 onTrigger
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       // 如果没有传递 options 的话，将这些数据都设为 false
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.pre = this.post = false
     }
     // 回调函数
     this.cb = cb
@@ -70,6 +97,10 @@ export default class Watcher {
     this.active = true
     // dirty 属性是一个标志位：标志着这个 Watcher 所依赖的数据有没有变化
     this.dirty = this.lazy // for lazy watchers
+    this.evaluated = false
+    // lazy watcher（计算属性）自身的 dep，读取它的值的 watcher 会订阅这个 dep，
+    // 这样即使它所依赖的数据没有变化，也可以通过 invalidate() 通知这些 watcher 更新
+    this.dep = this.lazy ? new Dep() : null
     // 一个 watcher 有可能监控多个数据的改变（一个数据也多可能被多个 watcher 监控，其实它们两者是多对多的关系）
     // 每个数据都有一个对应 dep 实例。
     // 在这里使用一个数组，保存当前 watcher 实例监控数据所对应的 dep 实例
@@ -86,28 +117,32 @@ export default class Watcher {
       // 在非生产环境下，将 expOrFn 转换成字符串保存到 this.expression
       ? expOrFn.toString()
       : ''
+    this.multi = Array.isArray(expOrFn)
+    // 回调函数的第三个参数，用于注册清理函数。清理函数会在下一次执行回调之前，以及 watcher 被销毁时执行
+    this.cleanup = null
+    this.onCleanup = (fn: Function) => {
+      this.cleanup = fn
+    }
     // parse expression for getter
     // getter 属性必须是一个函数，并且函数中有对使用到的值的读取操作（用于触发数据的 getter 函数，在 getter 函数中进行该数据依赖的收集）
     if (typeof expOrFn === 'function') {
       // 用于处理组件 渲染Watcher 的情况
       this.getter = expOrFn
+    } else if (Array.isArray(expOrFn)) {
+      // 同时侦听多个数据源，每个数据源可以是路径字符串或者函数
+      const getters = expOrFn.map(source => typeof source === 'function'
+        ? source
+        : createPathGetter(source, vm)
+      )
+      this.getter = function (vm) {
+        return getters.map(getter => getter.call(vm, vm))
+      }
     } else {
       // 用于处理 计算属性的watcher、侦听属性的watcher、vm.$watch生成的watcher
       // 而如果是一个字符串类型的话，例如："a.b.c.d"，是一个数据的路径
       // 就将 parsePath(expOrFn) 赋值给 this.getter，
       // parsePath 能够读取这个路径字符串对应的数据（一样能触发 getter，触发数据的 getter 是关键）
-      this.getter = parsePath(expOrFn)
-      if (!this.getter) {
-        // 如果 getter 没有声明的话，就给其赋值一个空函数
-        this.getter = function () {}
-        // 在非生产的环境下，发出警告
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
-      }
+      this.getter = createPathGetter(expOrFn, vm)
     }
     // 调用 this.get() 函数会进行依赖的收集操作
     // 如果是 lazy 特性的 watcher 的话，先不调用 this.get()；
@@ -230,7 +265,7 @@ export default class Watcher {
   /**
    * 如果 watcher 实例依赖的数据改变的话，update 方法将被执行
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       // lazy 属性为 true，说明当前的 watcher 实例是针对计算属性的，又因为依赖的数据发生了变化，此时需要将 dirty 设为 true
@@ -239,7 +274,8 @@ export default class Watcher {
       this.run()
     } else {
       // 如果当前的 watcher 实例不是立即触发的话，需要将当前的 watcher 实例添加到 watcher 缓存数组中
-      queueWatcher(this)
+      // info 是触发这次更新的数据（开发环境下才有），用于无限循环更新的诊断
+      queueWatcher(this, info)
     }
   }
 
@@ -252,11 +288,14 @@ export default class Watcher {
       const value = this.get()
       // 下面进行回调函数 cb 的处理
       if (
-        value !== this.value ||
+        (this.multi
+          // 侦听多个数据源时，只要有一个数据源的值变化了，就触发回调
+          ? hasSourceChanged(value, this.value)
+          : value !== this.value) ||
         // Deep watchers and watchers on Object/Arrays should fire even
         // when the value is the same, because the value may
         // have mutated.
-        isObject(value) ||
+        (!this.multi && isObject(value)) ||
         this.deep
       ) {
         // set new value
@@ -264,11 +303,14 @@ export default class Watcher {
         this.value = value
         if (this.user) {
           // 当前的 watcher 是用户自定义 watcher，触发执行回调函数，参数是 新值和旧值
-          try {
-            this.cb.call(this.vm, value, oldValue)
-          } catch (e) {
-            handleError(e, this.vm, `callback for watcher "${this.expression}"`)
-          }
+          this.runCleanup()
+          invokeWithErrorHandling(
+            this.cb,
+            this.vm,
+            [value, oldValue, this.onCleanup],
+            this.vm,
+            `callback for watcher "${this.expression}"`
+          )
         } else {
           // 当前的 watcher 是组件的渲染 watcher
           this.cb.call(this.vm, value, oldValue)
@@ -282,10 +324,27 @@ export default class Watcher {
    * This only gets called for lazy watchers.
    */
   evaluate () {
-    this.value = this.get()
+    const value = this.get()
+    // 提供了 equals 选项的话，新值与旧值相等时保留旧值，读取这个值的地方拿到的仍然是同一个引用
+    const equals = this.equals
+    if (!equals || !this.evaluated || !equals(value, this.value)) {
+      this.value = value
+    }
+    this.evaluated = true
     this.dirty = false
   }
 
+  /**
+   * Mark a lazy watcher as dirty and notify the watchers that read its
+   * value, even if none of its own dependencies has changed.
+   */
+  invalidate () {
+    this.dirty = true
+    if (this.dep) {
+      this.dep.notify()
+    }
+  }
+
   /**
    * 作用：让当前 watcher 所依赖数据的 dep 保存 Dep.target 这个 Watcher 实例
    */
@@ -294,6 +353,9 @@ export default class Watcher {
     while (i--) {
       this.deps[i].depend()
     }
+    if (this.dep) {
+      this.dep.depend()
+    }
   }
 
   /**
@@ -304,18 +366,69 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
       this.active = false
+      this.runCleanup()
+    }
+  }
+
+  /**
+   * Run the cleanup function registered by the last callback invocation.
+   */
+  runCleanup () {
+    const cleanup = this.cleanup
+    if (cleanup) {
+      this.cleanup = null
+      try {
+        cleanup.call(this.vm)
+      } catch (e) {
+        handleError(e, this.vm, `cleanup for watcher "${this.expression}"`)
+      }
     }
   }
 }
 
+/**
+ * Check if any source of a multi-source watcher has changed. As with
+ * single sources, Object/Array values count as changed since they may
+ * have mutated.
+ */
+function hasSourceChanged (value: any, oldValue: any): boolean {
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== oldValue[i] || isObject(value[i])) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Create a getter for a dot-delimited path, warning for paths that
+ * can't be parsed.
+ */
+function createPathGetter (path: string, vm: ?Component): Function {
+  const getter = parsePath(path)
+  if (!getter) {
+    // 在非生产的环境下，发出警告
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${path}" ` +
+      'Watcher only accepts simple dot-delimited paths. ' +
+      'For full control, use a function instead.',
+      vm
+    )
+    // 如果 getter 没有声明的话，返回一个空函数
+    return function () {}
+  }
+  return getter
+}
+
 /**
  * Recursively traverse an object to evoke all converted
  * getters, so that every nested property inside the object
@@ -349,6 +462,11 @@ function _traverse (val: any, seen: ISet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // WeakMap 和 WeakSet 是不可遍历的
+    if (typeof val.forEach === 'function') {
+      val.forEach(item => _traverse(item, seen))
+    }
   } else {
     keys = Object.keys(val)
     i = keys.length
@@ -1,6 +1,6 @@
 /* @flow */
 
-import config from '../config'
+import config, { getRootConfig } from '../config'
 import { noop } from 'shared/util'
 
 export let warn = noop
@@ -17,9 +17,14 @@ if (process.env.NODE_ENV !== 'production') {
 
   warn = (msg, vm) => {
     const trace = vm ? generateComponentTrace(vm) : ''
+    // 优先使用根实例 config 选项中的 warnHandler
+    const rootConfig = getRootConfig(vm)
+    const warnHandler = rootConfig && rootConfig.warnHandler !== undefined
+      ? rootConfig.warnHandler
+      : config.warnHandler
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    if (warnHandler) {
+      warnHandler(msg, vm, trace)
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
@@ -1,13 +1,16 @@
 /* @flow */
 
-import config from '../config'
+import config, { getRootConfig } from '../config'
 import { warn } from './debug'
 import { inBrowser } from './env'
+import { isPromise } from 'shared/util'
 
 export function handleError (err: Error, vm: any, info: string) {
   if (vm) {
     let cur = vm
-    while ((cur = cur.$parent)) {
+    // 沿着 $options.parent 向上查找，它和 $parent 的区别是不会跳过抽象组件，
+    // 这样 <error-boundary> 这类抽象组件也能捕获子树中的错误
+    while ((cur = cur.$options.parent || cur.$parent)) {
       const hooks = cur.$options.errorCaptured
       if (hooks) {
         for (let i = 0; i < hooks.length; i++) {
@@ -24,10 +27,41 @@ export function handleError (err: Error, vm: any, info: string) {
   globalHandleError(err, vm, info)
 }
 
+/**
+ * Call a user function (hook, event handler, watcher callback) and route
+ * both the errors it throws and the rejection of the Promise it returns
+ * (e.g. an async function) to handleError.
+ */
+export function invokeWithErrorHandling (
+  handler: Function,
+  context: any,
+  args: ?Array<any> | Object,
+  vm: any,
+  info: string
+): any {
+  let res
+  try {
+    res = args ? handler.apply(context, args) : handler.call(context)
+    // 组件上的 v-on 监听器会先后经过 invoker 和 $emit，同一个 Promise 只处理一次
+    if (res && !res._isVue && isPromise(res) && !res._handled) {
+      res.catch(e => handleError(e, vm, `${info} (Promise/async)`))
+      res._handled = true
+    }
+  } catch (e) {
+    handleError(e, vm, info)
+  }
+  return res
+}
+
 function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+  // 优先使用根实例 config 选项中的 errorHandler
+  const rootConfig = getRootConfig(vm)
+  const errorHandler = rootConfig && rootConfig.errorHandler !== undefined
+    ? rootConfig.errorHandler
+    : config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler(err, vm, info)
     } catch (e) {
       logError(e, null, 'config.errorHandler')
     }
@@ -1,8 +1,9 @@
 /* @flow */
 
 import config from '../config'
-import { warn } from './debug'
+import { warn, formatComponentName } from './debug'
 import { nativeWatch } from './env'
+import { def } from './lang'
 import { set } from '../observer/index'
 
 import {
@@ -34,7 +35,7 @@ const strats = config.optionMergeStrategies
  * Options with restrictions
  */
 if (process.env.NODE_ENV !== 'production') {
-  strats.el = strats.propsData = function (parent, child, vm, key) {
+  strats.el = strats.propsData = strats.config = function (parent, child, vm, key) {
     if (!vm) {
       warn(
         `option "${key}" can only be used during instance ` +
@@ -242,6 +243,7 @@ strats.watch = function (
  * Other object hashes.
  */
 strats.props =
+strats.emits =
 strats.methods =
 strats.inject =
 strats.computed = function (
@@ -356,6 +358,45 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize the emits option into Object-based format,
+ * mapping each declared event to its validator (or null).
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const res = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      if (typeof emits[i] === 'string') {
+        res[emits[i]] = null
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('emits must be strings when using array syntax.')
+      }
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (typeof val === 'function' || val == null) {
+        res[key] = val || null
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(
+          `Invalid validator for event "${key}" in option "emits": ` +
+          `expected a Function or null, but got ${toRawType(val)}.`,
+          vm
+        )
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+  options.emits = res
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -381,13 +422,111 @@ function assertObjectType (name: string, value: any, vm: ?Component) {
   }
 }
 
+// 会被检测命名冲突的选项，以及在冲突提示中对应的名称
+const conflictOptionTypes = {
+  props: 'prop',
+  inject: 'injection',
+  methods: 'method',
+  computed: 'computed property'
+}
+
+/**
+ * Where the options being merged come from. `source` describes a mixin
+ * (e.g. "mixin #1 of <Foo>") and is not set for components and
+ * `extends`; `owners` are the options the child is mixed into.
+ */
+type MergeContext = {
+  source?: string;
+  owners: Array<Object>;
+};
+
+/**
+ * Record where each prop, injection, method and computed property of the
+ * merged options was defined, and report the keys a mixin redefines: the
+ * mixin silently wins in that case. `base` is the parent before the
+ * child's own `extends` and `mixins` were merged in: overriding those,
+ * or being overridden by the options the mixin is mixed into, is
+ * intended and not reported.
+ */
+function checkMixinConflicts (
+  options: Object,
+  base: Object,
+  parent: Object,
+  child: Object,
+  context: ?MergeContext,
+  vm: ?Component
+) {
+  const source = describeOptions(child, context)
+  // 来源信息以不可枚举属性的形式保存在合并后的 options 上，
+  // 这样它不会被当做选项参与下一次合并，又能被子类和混入它的组件读取到
+  const baseSources = base._optionSources || {}
+  const parentSources = parent._optionSources || {}
+  const sources = {}
+  for (const type in conflictOptionTypes) {
+    const baseVal = base[type]
+    const childVal = child[type]
+    const typeSources = sources[type] = extend({}, parentSources[type])
+    if (!isPlainObject(childVal)) continue
+    for (const key in childVal) {
+      if (
+        context && context.source &&
+        baseVal && hasOwn(baseVal, key) &&
+        !isOverridden(context.owners, type, key)
+      ) {
+        const previous = (baseSources[type] && baseSources[type][key]) ||
+          'an earlier definition'
+        reportMixinConflict(
+          `The ${conflictOptionTypes[type]} "${key}" is defined by both ` +
+          `${previous} and ${source}; the definition from ${source} is used.`,
+          vm
+        )
+      }
+      typeSources[key] = source
+    }
+  }
+  def(options, '_optionSources', sources)
+}
+
+// 混入目标自身定义的同名选项最终会覆盖 mixin 中的定义，这种情况不算冲突
+function isOverridden (owners: Array<Object>, type: string, key: string): boolean {
+  return owners.some(owner => isPlainObject(owner[type]) && hasOwn(owner[type], key))
+}
+
+function reportMixinConflict (msg: string, vm: ?Component) {
+  if (config.strictMixinConflicts) {
+    throw new Error(msg)
+  }
+  warn(msg, vm)
+}
+
+function describeOptions (options: Object, context: ?MergeContext): string {
+  const name = formatComponentName(options, false)
+  if (!context || !context.source) {
+    return name
+  }
+  return options.name ? `${context.source} ${name}` : context.source
+}
+
+function createMergeContext (
+  child: Object,
+  context: ?MergeContext,
+  source?: string
+): MergeContext {
+  return {
+    source,
+    owners: context ? context.owners.concat(child) : [child]
+  }
+}
+
 /**
  * 将两个 options 对象合并成一个
+ * context 用于在开发环境下检测 mixin 的命名冲突，只在内部递归合并 extends 和 mixins 以及 Vue.mixin 时传入
  */
 export function mergeOptions (
   parent: Object,
   child: Object,
-  vm?: Component
+  vm?: Component,
+  context?: MergeContext
 ): Object {
   if (process.env.NODE_ENV !== 'production') {
     // 对配置对象的 components 字段进行检测
@@ -401,21 +540,37 @@ export function mergeOptions (
   // 标准化 child 中的 props、inject、directives
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   normalizeDirectives(child)
 
   // 对应官方文档点击这里：https://cn.vuejs.org/v2/api/#extends
   // 配置选项中可以使用 extends 配置项，如果使用了该配置项的话，底层则递归调用 mergeOptions 方法，
   // 对 parent 和 extendsFrom 中的配置项进行合并
+  const base = parent
   const extendsFrom = child.extends
   if (extendsFrom) {
-    parent = mergeOptions(parent, extendsFrom, vm)
+    parent = mergeOptions(
+      parent,
+      extendsFrom,
+      vm,
+      process.env.NODE_ENV !== 'production'
+        ? createMergeContext(child, context)
+        : undefined
+    )
   }
   // 对应官方文档点击这里：https://cn.vuejs.org/v2/api/#mixins
   // 配置选项中可以使用 mixins 配置项，如果使用了该配置项的话，底层则递归调用 mergeOptions 方法，
   // 对 parent 和 child.mixins[i] 中的配置项进行合并
   if (child.mixins) {
     for (let i = 0, l = child.mixins.length; i < l; i++) {
-      parent = mergeOptions(parent, child.mixins[i], vm)
+      parent = mergeOptions(
+        parent,
+        child.mixins[i],
+        vm,
+        process.env.NODE_ENV !== 'production'
+          ? createMergeContext(child, context, `mixin #${i + 1} of ${describeOptions(child, context)}`)
+          : undefined
+      )
     }
   }
 
@@ -439,6 +594,9 @@ export function mergeOptions (
     // 使用这个合并策略对 parent 和 child 中指定的 key 进行合并
     options[key] = strat(parent[key], child[key], vm, key)
   }
+  if (process.env.NODE_ENV !== 'production') {
+    checkMixinConflicts(options, base, parent, child, context, vm)
+  }
   return options
 }
 
@@ -1,10 +1,13 @@
 /* @flow */
 
 import { warn } from './debug'
+import { handleError } from './error'
 import { observe, observerState } from '../observer/index'
+import { readonly } from '../observer/readonly'
 import {
   hasOwn,
   isObject,
+  isPromise,
   toRawType,
   hyphenate,
   capitalize,
@@ -15,9 +18,19 @@ type PropOptions = {
   type: Function | Array<Function> | null,
   default: any,
   required: ?boolean,
-  validator: ?Function
+  validator: ?Function,
+  readonly: ?boolean,
+  coerce: ?Function,
+  oneOf: ?Array<any>,
+  instanceOf: ?Function,
+  arrayOf: ?PropSchema,
+  objectOf: ?PropSchema,
+  shape: ?{ [key: string]: PropSchema }
 };
 
+// 嵌套的 schema（arrayOf、objectOf、shape 的值）和 prop 的配置相同，也可以直接是构造函数或构造函数数组
+type PropSchema = PropOptions | Function | Array<Function>;
+
 // 对 Prop 进行校验和求值
 export function validateProp (
   key: string,
@@ -42,7 +55,19 @@ export function validateProp (
       value = true
     }
   }
-  // （2）对默认值的处理：如果父组件没有传递该 prop 值的话，则进行默认值的处理
+  // （2）coerce 函数可以在父组件传递的值交给组件之前对其进行转换，之后校验的是转换之后的值。
+  // 默认值不会经过 coerce，否则每次父组件重新渲染时，缓存的默认值都会被转换成一个新的值
+  if (prop.coerce && value !== undefined) {
+    const raw = value
+    value = prop.coerce(value)
+    if (value !== raw) {
+      const prevShouldConvert = observerState.shouldConvert
+      observerState.shouldConvert = true
+      observe(value)
+      observerState.shouldConvert = prevShouldConvert
+    }
+  }
+  // （3）对默认值的处理：如果父组件没有传递该 prop 值的话，则进行默认值的处理
   if (value === undefined) {
     value = getPropDefaultValue(vm, prop, key)
     // since the default value is a fresh copy,
@@ -52,10 +77,14 @@ export function validateProp (
     observe(value)
     observerState.shouldConvert = prevShouldConvert
   }
-  // （3）在非生产环境下，对 Prop 进行断言
+  // （4）在非生产环境下，对 Prop 进行断言
   if (process.env.NODE_ENV !== 'production') {
     assertProp(prop, key, value, vm, absent)
   }
+  // （5）readonly 的 prop，子组件拿到的是深度只读的视图，对其嵌套属性的修改也会被拦截
+  if (prop.readonly) {
+    value = readonly(value)
+  }
   return value
 }
 
@@ -102,13 +131,27 @@ function assertProp (
   vm: ?Component,
   absent: boolean
 ) {
+  const error = getPropError(prop, name, value, vm, absent)
+  if (error) {
+    warn(error, vm)
+  }
+}
+
+/**
+ * Check a value against a prop definition and return the first problem
+ * found. The schemas of arrayOf, objectOf and shape are prop definitions
+ * themselves, so that the path of a nested invalid value is reported.
+ */
+function getPropError (
+  prop: PropOptions,
+  path: string,
+  value: any,
+  vm: ?Component,
+  absent: boolean
+): ?string {
   // 如果当前的 prop 是必填，但是父组件没有传递该 prop 的值的话，则打印出该警告
   if (prop.required && absent) {
-    warn(
-      'Missing required prop: "' + name + '"',
-      vm
-    )
-    return
+    return `Missing required prop: "${path}"`
   }
   if (value == null && !prop.required) {
     return
@@ -128,24 +171,112 @@ function assertProp (
     }
   }
   if (!valid) {
-    warn(
-      `Invalid prop: type check failed for prop "${name}".` +
-      ` Expected ${expectedTypes.map(capitalize).join(', ')}` +
-      `, got ${toRawType(value)}.`,
-      vm
+    return getTypeError(path, expectedTypes.map(capitalize).join(', '), value)
+  }
+  if (prop.instanceOf && !(value instanceof prop.instanceOf)) {
+    return getTypeError(path, getType(prop.instanceOf) || prop.instanceOf.name, value)
+  }
+  if (prop.oneOf && prop.oneOf.indexOf(value) < 0) {
+    return (
+      `Invalid prop: expected prop "${path}" to be one of ` +
+      `${prop.oneOf.map(formatValue).join(', ')}, got ${formatValue(value)}.`
     )
-    return
+  }
+  // 对嵌套的值进行校验，路径的格式为 items[0].name
+  const error = getNestedPropError(prop, path, value, vm)
+  if (error) {
+    return error
   }
   // 使用用户自定义的 validator 方法，对传递进来的 value 进行验证
   const validator = prop.validator
   if (validator) {
-    if (!validator(value)) {
-      warn(
-        'Invalid prop: custom validator check failed for prop "' + name + '".',
-        vm
+    const result = validator(value)
+    if (isPromise(result)) {
+      // 异步的 validator，在 Promise 完成之后再报告校验结果
+      result.then(res => {
+        const error = getValidatorError(res, path)
+        if (error) {
+          warn(error, vm)
+        }
+      }, e => {
+        handleError(e, vm, `validator for prop "${path}" (Promise/async)`)
+      })
+    } else {
+      return getValidatorError(result, path)
+    }
+  }
+}
+
+function getNestedPropError (
+  prop: PropOptions,
+  path: string,
+  value: any,
+  vm: ?Component
+): ?string {
+  const { arrayOf, objectOf, shape } = prop
+  let error
+  if (arrayOf) {
+    if (!Array.isArray(value)) {
+      return getTypeError(path, 'Array', value)
+    }
+    const schema = normalizeSchema(arrayOf)
+    for (let i = 0; i < value.length && !error; i++) {
+      error = getPropError(schema, `${path}[${i}]`, value[i], vm, false)
+    }
+  } else if (objectOf) {
+    if (!isPlainObject(value)) {
+      return getTypeError(path, 'Object', value)
+    }
+    const schema = normalizeSchema(objectOf)
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length && !error; i++) {
+      error = getPropError(schema, `${path}.${keys[i]}`, value[keys[i]], vm, false)
+    }
+  }
+  if (!error && shape) {
+    if (!isPlainObject(value)) {
+      return getTypeError(path, 'Object', value)
+    }
+    const keys = Object.keys(shape)
+    for (let i = 0; i < keys.length && !error; i++) {
+      const key = keys[i]
+      error = getPropError(
+        normalizeSchema(shape[key]),
+        `${path}.${key}`,
+        value[key],
+        vm,
+        !hasOwn(value, key)
       )
     }
   }
+  return error
+}
+
+function normalizeSchema (schema: PropSchema): PropOptions {
+  return typeof schema === 'function' || Array.isArray(schema)
+    ? ({ type: schema }: any)
+    : schema
+}
+
+function getTypeError (path: string, expected: string, value: any): string {
+  return (
+    `Invalid prop: type check failed for prop "${path}".` +
+    ` Expected ${expected}, got ${toRawType(value)}.`
+  )
+}
+
+// validator 返回 false 表示校验失败，返回字符串表示校验失败的原因
+function getValidatorError (result: any, path: string): ?string {
+  if (typeof result === 'string' && result) {
+    return `Invalid prop: custom validator check failed for prop "${path}": ${result}`
+  }
+  if (!result) {
+    return `Invalid prop: custom validator check failed for prop "${path}".`
+  }
+}
+
+function formatValue (value: any): string {
+  return typeof value === 'string' ? `"${value}"` : String(value)
 }
 
 const simpleCheckRE = /^(String|Number|Boolean|Function|Symbol)$/
@@ -10,6 +10,8 @@ import {
   isDef,
   isUndef,
   isTrue,
+  hasOwn,
+  extend,
   isObject
 } from '../util/index'
 
@@ -172,21 +174,45 @@ export function createComponent (
   // extract listeners, since these needs to be treated as
   // child component listeners instead of DOM listeners
   // 组件自定义事件的处理
-  const listeners = data.on
+  let listeners = data.on
   // replace with listeners with .native modifier
   // so it gets processed during parent component patch.
   data.on = data.nativeOn
 
+  // 组件声明了 emits 选项时，未声明事件的监听器和 $attrs 一样透传到组件的根元素上，作为原生事件监听
+  if (isDef(listeners) && isDef(Ctor.options.emits) && Ctor.options.inheritAttrs !== false) {
+    listeners = extractDeclaredListeners(data, listeners, Ctor.options)
+  }
+
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots & key & ref
 
     // work around flow
     const slot = data.slot
+    const scopedSlots = data.scopedSlots
+    const key = data.key
+    const ref = data.ref
+    const refInFor = data.refInFor
     data = {}
     if (slot) {
       data.slot = slot
     }
+    // 保留 key，v-for 渲染的抽象组件（例如多个 <portal>）在更新时才能被正确地复用和移动
+    if (isDef(key)) {
+      data.key = key
+    }
+    // 保留 ref，这样可以通过 ref 调用抽象组件暴露的方法（例如 <keep-alive> 的 evict）
+    if (isDef(ref)) {
+      data.ref = ref
+      if (refInFor) {
+        data.refInFor = true
+      }
+    }
+    // <error-boundary> 通过作用域插槽接收备用内容
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
   }
 
   // 安装组件的钩子函数
@@ -211,6 +237,38 @@ export function createComponent (
   return vnode
 }
 
+/**
+ * Keep the listeners for events declared in the emits option as component
+ * listeners, and move the others to the native listeners of the root element.
+ */
+function extractDeclaredListeners (
+  data: VNodeData,
+  listeners: Object,
+  options: Object
+): Object {
+  const emits = options.emits
+  // v-model 监听的事件和 hook: 事件总是作为组件事件，即使没有在 emits 中声明
+  const modelEvent = (options.model && options.model.event) || 'input'
+  const res = {}
+  let nativeOn
+  for (const key in listeners) {
+    // 去掉 .once、.capture、.passive 修饰符对应的前缀
+    const name = key.replace(/^[~!&]+/, '')
+    if (hasOwn(emits, name) || name === modelEvent || /^hook:/.test(name)) {
+      res[key] = listeners[key]
+    } else {
+      nativeOn = nativeOn || extend({}, data.on)
+      nativeOn[key] = hasOwn(nativeOn, key)
+        ? [].concat(nativeOn[key], listeners[key])
+        : listeners[key]
+    }
+  }
+  if (nativeOn) {
+    data.on = nativeOn
+  }
+  return res
+}
+
 export function createComponentInstanceForVnode (
   vnode: any, // we know it's MountedComponentVNode but flow doesn't
   parent: any, // activeInstance in lifecycle state
@@ -13,6 +13,42 @@ import {
 import { createEmptyVNode } from 'core/vdom/vnode'
 
 
+type RetryOptions = {
+  attempts: number;
+  delay: number;
+  backoff: 'fixed' | 'linear' | 'exponential' | (attempt: number) => number;
+  onError: ?(err: any, retry: Function, fail: Function, attempts: number) => void;
+};
+
+// retry 选项可以是重试的次数，也可以是 { attempts, delay, backoff, onError } 对象
+function normalizeRetry (retry: any): ?RetryOptions {
+  if (isUndef(retry) || retry === false) {
+    return null
+  }
+  const options: Object = typeof retry === 'number'
+    ? { attempts: retry }
+    : isObject(retry) ? retry : {}
+  return {
+    attempts: isDef(options.attempts) ? options.attempts : 3,
+    delay: isDef(options.delay) ? options.delay : 1000,
+    backoff: options.backoff || 'exponential',
+    onError: options.onError
+  }
+}
+
+// 第 attempt 次失败之后，等待多久再重试
+function getRetryDelay (retry: RetryOptions, attempt: number): number {
+  const { backoff, delay } = retry
+  if (typeof backoff === 'function') {
+    return backoff(attempt)
+  } else if (backoff === 'fixed') {
+    return delay
+  } else if (backoff === 'linear') {
+    return delay * attempt
+  }
+  return delay * Math.pow(2, attempt - 1)
+}
+
 function ensureCtor (comp: any, base) {
   if (
     comp.__esModule ||
@@ -69,7 +105,12 @@ export function createAsyncPlaceholder (
 //   // 渲染加载中组件前的等待时间。默认：200ms。
 //   delay: 200,
 //   // 最长等待时间。超出此时间则渲染错误组件。默认：Infinity
-//   timeout: 1000
+//   timeout: 1000,
+//   // 加载失败（包括超时）之后的重试。可以是重试次数，也可以是一个对象：
+//   // attempts 重试次数，默认 3；delay 重试前的等待时间，默认 1000ms；
+//   // backoff 等待时间的增长方式：'fixed'、'linear'、'exponential'（默认），或者 attempt => ms；
+//   // onError(err, retry, fail, attempts) 由用户决定重试还是放弃，此时不再自动重试
+//   retry: { attempts: 3, delay: 1000, backoff: 'exponential' }
 // })
 export function resolveAsyncComponent (
   factory: Function,
@@ -122,6 +163,8 @@ export function resolveAsyncComponent (
     // 当前的异步组件第一次被使用时，代码会执行到这，此时需要初始化 factory.contexts
     // 初始化时的数据是 [context]
     const contexts = factory.contexts = [context]
+    // 等待这个异步组件的回调（参见 waitForAsyncComponent），加载完成或者失败时执行
+    const callbacks = factory.callbacks = []
     let sync = true
 
     // 创建一个工具方法 forceRender，它的作用是遍历 factory.contexts 数组中的 Vue 实例
@@ -132,6 +175,14 @@ export function resolveAsyncComponent (
       }
     }
 
+    const settle = (err: any) => {
+      const cbs = callbacks.slice()
+      callbacks.length = 0
+      for (let i = 0; i < cbs.length; i++) {
+        cbs[i](err)
+      }
+    }
+
     // 创建异步组件工厂函数的 resolve 参数，是一个函数类型
     const resolve = once((res: Object | Class<Component>) => {
       // 这里的 res 是请求获取到的异步组件对象，通过 ensureCtor 可以创建出对应的组件构造函数
@@ -143,88 +194,137 @@ export function resolveAsyncComponent (
         // 将异步组件渲染到页面上
         forceRender()
       }
+      settle(null)
     })
 
-    // 创建异步组件工厂函数的 reject 参数，是一个函数类型
-    const reject = once(reason => {
+    // 加载彻底失败（不再重试）时执行
+    const fail = once(reason => {
       process.env.NODE_ENV !== 'production' && warn(
         `Failed to resolve async component: ${String(factory)}` +
         (reason ? `\nReason: ${reason}` : '')
       )
+      // 将 factory.error 设置为 true，表示加载失败
+      factory.error = true
       if (isDef(factory.errorComp)) {
-        // 如果定义了 errorComp 组件的话，在这里将 factory.error 设置为 true
-        // 并强制组件重新渲染，当组件重新渲染时，在上面的代码中，会直接返回 errorComp
-        factory.error = true
+        // 如果定义了 errorComp 组件的话，强制组件重新渲染，
+        // 当组件重新渲染时，在上面的代码中，会直接返回 errorComp
         forceRender()
+        settle(null)
+      } else {
+        settle(reason || new Error(`Failed to resolve async component: ${String(factory)}`))
       }
     })
 
+    // 已经加载的次数，以及 高级异步组件 中的 retry 选项
+    let attempts = 0
+    let retry: ?RetryOptions = null
+
+    // 一次加载失败之后，根据 retry 选项决定是重试还是彻底失败
+    const handleFailure = reason => {
+      if (isDef(factory.resolved) || isTrue(factory.error)) {
+        return
+      }
+      if (!retry) {
+        fail(reason)
+        return
+      }
+      const options = retry
+      const retryLater = once(() => {
+        setTimeout(load, getRetryDelay(options, attempts))
+      })
+      if (options.onError) {
+        // 由用户决定是否重试
+        options.onError(reason, retryLater, () => fail(reason), attempts)
+      } else if (attempts <= options.attempts) {
+        retryLater()
+      } else {
+        fail(reason)
+      }
+    }
+
     // 执行组件的工厂函数
     // 在组件的工厂函数中会执行这个组件的异步加载，通过发送 ajax 请求，
     // 获取组件的数据后，将组件的数据当做参数执行 resolve 方法，resolve 方法会进行组件的重新加载
-    const res = factory(resolve, reject)
-
-    if (isObject(res)) {
-      // 下面的代码块是用于处理 Promise 情况的
-      // 如果我们：Vue.component() 的写法是返回一个 Promise 的话，那么上面 factory 方法的返回值就是一个 Promise
-      if (typeof res.then === 'function') {
-        // () => import('./my-async-component')
-        if (isUndef(factory.resolved)) {
-          // 将 resolve 和 reject 回调函数注册到 Promise.then() 中
-          // 这样当 ajax 请求完成，这个 Promise 就是 resolved 的状态，
-          // 然后就会执行 resolve 这个回调函数，接下来的逻辑和上面的工厂函数就一样了。
-          res.then(resolve, reject)
-        }
-      } else if (isDef(res.component) && typeof res.component.then === 'function') {
-        // 下面的代码块是针对 高级异步组件 的情况，此时 res 是一个对象，并且 res.component 是一个 Promise
-        // 注册 resolve 和 reject 回调函数
-        res.component.then(resolve, reject)
-
-        // 处理 高级异步组件 中的 error
-        if (isDef(res.error)) {
-          // 创建 error 组件的构造函数，并保存在 errorComp 属性中
-          factory.errorComp = ensureCtor(res.error, baseCtor)
-        }
+    // 重试时会再次执行工厂函数，得到一个新的 Promise
+    const load = () => {
+      attempts++
+      // 创建异步组件工厂函数的 reject 参数，每次加载使用一个新的 reject，这样失败之后还可以重试
+      const reject = once(handleFailure)
+      const res = factory(resolve, reject)
 
-        // 处理 高级异步组件 中的 loading
-        if (isDef(res.loading)) {
-          // 创建 loading 组件的构造函数，并保存在 loadingComp 属性中
-          factory.loadingComp = ensureCtor(res.loading, baseCtor)
-          if (res.delay === 0) {
-            // 如果 delay 为 0 的话，说明要立即进行加载中的状态
-            factory.loading = true
-          } else {
-            // 如果 delay 不等于 0 的话，则需要 delay 之后再进行 loading 的处理
-            // 此处使用 setTimeout(() => {}, res.delay || 200)
-            setTimeout(() => {
-              // delay 毫秒之后，如果不是 resolved 和 error 的状态的话，说明当前是 loading 状态
-              if (isUndef(factory.resolved) && isUndef(factory.error)) {
-                // 将加载中的标志为 true，然后重新渲染视图，渲染出加载组件
-                factory.loading = true
-                forceRender()
-              }
-            }, res.delay || 200)
+      if (isObject(res)) {
+        // 下面的代码块是用于处理 Promise 情况的
+        // 如果我们：Vue.component() 的写法是返回一个 Promise 的话，那么上面 factory 方法的返回值就是一个 Promise
+        if (typeof res.then === 'function') {
+          // () => import('./my-async-component')
+          if (isUndef(factory.resolved)) {
+            // 将 resolve 和 reject 回调函数注册到 Promise.then() 中
+            // 这样当 ajax 请求完成，这个 Promise 就是 resolved 的状态，
+            // 然后就会执行 resolve 这个回调函数，接下来的逻辑和上面的工厂函数就一样了。
+            res.then(resolve, reject)
+          }
+        } else if (isDef(res.component) && typeof res.component.then === 'function') {
+          // 下面的代码块是针对 高级异步组件 的情况，此时 res 是一个对象，并且 res.component 是一个 Promise
+          // error、loading、delay 和 retry 只在第一次加载时处理，重试时只使用新的 component
+          if (attempts === 1) {
+            // 处理 高级异步组件 中的 error 和 retry，
+            // 它们要在注册回调之前处理，因为 component 有可能同步地失败
+            if (isDef(res.error)) {
+              // 创建 error 组件的构造函数，并保存在 errorComp 属性中
+              factory.errorComp = ensureCtor(res.error, baseCtor)
+            }
+            retry = normalizeRetry(res.retry)
           }
-        }
 
-        // 处理 高级异步组件 中的 timeout
-        // timeout 参数表示：timeout 毫秒之后，如果这一个异步组件还不是 resolved 状态的话，
-        // 就将组件设为 error 状态，并重新渲染，渲染出 error 组件，借助 setTimeout 和 reject 方法实现功能
-        if (isDef(res.timeout)) {
-          setTimeout(() => {
-            if (isUndef(factory.resolved)) {
-              reject(
-                process.env.NODE_ENV !== 'production'
-                  ? `timeout (${res.timeout}ms)`
-                  : null
-              )
+          // 注册 resolve 和 reject 回调函数
+          res.component.then(resolve, reject)
+
+          // 处理 高级异步组件 中的 loading
+          if (attempts === 1 && isDef(res.loading)) {
+            // 创建 loading 组件的构造函数，并保存在 loadingComp 属性中
+            factory.loadingComp = ensureCtor(res.loading, baseCtor)
+            if (res.delay === 0) {
+              // 如果 delay 为 0 的话，说明要立即进行加载中的状态
+              factory.loading = true
+            } else {
+              // 如果 delay 不等于 0 的话，则需要 delay 之后再进行 loading 的处理
+              // 此处使用 setTimeout(() => {}, res.delay || 200)
+              setTimeout(() => {
+                // delay 毫秒之后，如果不是 resolved 和 error 的状态的话，说明当前是 loading 状态
+                if (isUndef(factory.resolved) && isUndef(factory.error)) {
+                  // 将加载中的标志为 true，然后重新渲染视图，渲染出加载组件
+                  factory.loading = true
+                  forceRender()
+                }
+              }, res.delay || 200)
             }
-          }, res.timeout)
+          }
+
+          // 处理 高级异步组件 中的 timeout
+          // timeout 参数表示：timeout 毫秒之后，如果这一次加载还不是 resolved 状态的话，
+          // 就当作这一次加载失败了（可能会重试），借助 setTimeout 和 reject 方法实现功能
+          if (isDef(res.timeout)) {
+            setTimeout(() => {
+              if (isUndef(factory.resolved)) {
+                reject(
+                  process.env.NODE_ENV !== 'production'
+                    ? `timeout (${res.timeout}ms)`
+                    : null
+                )
+              }
+            }, res.timeout)
+          }
         }
       }
     }
 
+    load()
+
     sync = false
+    // 同步失败时，此时组件还没有渲染完成，forceRender 不起作用，直接返回 error 组件
+    if (isTrue(factory.error) && isDef(factory.errorComp)) {
+      return factory.errorComp
+    }
     // 如果 factory.loading 为 true 的话，说明异步组件还在加载中，此时返回 loadingComp
     // 如果不为 true 的话，说明异步组件加载完成，返回 resolved 异步组件即可
     return factory.loading
@@ -232,3 +332,42 @@ export function resolveAsyncComponent (
       : factory.resolved
   }
 }
+
+/**
+ * Return a Promise that resolves once the async component of `factory`
+ * has loaded, or nothing if it is not loading. It rejects when loading
+ * fails and there is no error component to render instead.
+ */
+export function waitForAsyncComponent (factory: Function): ?Promise<any> {
+  if (
+    isUndef(factory.callbacks) ||
+    isDef(factory.resolved) ||
+    isTrue(factory.error)
+  ) {
+    return
+  }
+  return new Promise((resolve, reject) => {
+    factory.callbacks.push(err => err ? reject(err) : resolve())
+  })
+}
+
+/**
+ * Clear the error state of an async component factory that failed to
+ * load, so that it is loaded again. The components that use it are
+ * re-rendered right away.
+ */
+export function resetAsyncComponent (factory: Function) {
+  if (!isTrue(factory.error)) {
+    return
+  }
+  const contexts = factory.contexts
+  factory.error = undefined
+  factory.loading = false
+  factory.errorComp = undefined
+  factory.loadingComp = undefined
+  factory.contexts = undefined
+  factory.callbacks = undefined
+  for (let i = 0, l = contexts.length; i < l; i++) {
+    contexts[i].$forceUpdate()
+  }
+}
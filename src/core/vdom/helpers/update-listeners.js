@@ -1,6 +1,6 @@
 /* @flow */
 
-import { warn } from 'core/util/index'
+import { warn, invokeWithErrorHandling } from 'core/util/index'
 import { cached, isUndef } from 'shared/util'
 
 // normalizeEvent 函数的作用是解析绑定的事件有没有使用修饰符，
@@ -41,7 +41,9 @@ const normalizeEvent = cached((name: string): {
 // createFnInvoker 可以将函数数组合并成一个函数，实现思路是返回一个封装函数，
 // 在封装函数内，如果判断 fns 是一个数组的话，则遍历执行 fns 中的各个函数。
 // 而如果 fns 是单个的函数的话，则在封装函数中直接执行 fns 函数。
-export function createFnInvoker (fns: Function | Array<Function>): Function {
+// 传入 vm 时（v-on 绑定的事件），业务函数抛出的错误以及返回的 Promise 的 rejection 会交给 handleError 处理，
+// 这样 errorCaptured 钩子和 <error-boundary> 也能捕获事件处理函数中的错误。
+export function createFnInvoker (fns: Function | Array<Function>, vm?: Component): Function {
   // 事件触发时，真正执行的是这个返回的 invoker 函数，这是个封装函数，真正的业务函数是 invoker.fns
   function invoker () {
     // 取出业务函数 fns，它可能是个函数数组或者就是一个函数，需要进行判断，进行不同的处理
@@ -50,11 +52,11 @@ export function createFnInvoker (fns: Function | Array<Function>): Function {
       // 如果 fns 是数组的话，则遍历执行 fns 中的函数
       const cloned = fns.slice()
       for (let i = 0; i < cloned.length; i++) {
-        cloned[i].apply(null, arguments)
+        invokeHandler(cloned[i], arguments, vm)
       }
     } else {
       // 如果 fns 不是函数数组，那它本身就是函数，在这里触发执行即可
-      return fns.apply(null, arguments)
+      return invokeHandler(fns, arguments, vm)
     }
   }
   // 将 fns 业务函数赋值到包装函数 invoker 的 fns 属性上
@@ -62,6 +64,12 @@ export function createFnInvoker (fns: Function | Array<Function>): Function {
   return invoker
 }
 
+function invokeHandler (handler: Function, args: any, vm?: Component): any {
+  return vm
+    ? invokeWithErrorHandling(handler, null, args, vm, 'v-on handler')
+    : handler.apply(null, args)
+}
+
 // 对比 on 与 oldOn，然后根据对比的结果调用 add 方法或者 remove 方法执行绑定或解绑事件
 // 该函数的一大特点是：add 和 remove 函数与 updateListeners 函数解耦，它们作为参数传递到
 // updateListeners 方法中，updateListeners 方法主要做 on 与 oldOn 的比较。
@@ -89,7 +97,7 @@ export function updateListeners (
       // 如果 old 回调函数未定义，cur 回调函数定义了的话，说明当前的事件是新增的
       // 需要执行 add 方法进行事件的绑定
       if (isUndef(cur.fns)) {
-        cur = on[name] = createFnInvoker(cur)
+        cur = on[name] = createFnInvoker(cur, vm)
       }
       add(event.name, cur, event.once, event.capture, event.passive)
     } else if (cur !== old) {
@@ -10,8 +10,10 @@
  * of making flow understand it is not worth it.
  */
 
-import VNode from './vnode'
-import config from '../config'
+import VNode, { createFragmentVNode } from './vnode'
+import { waitForAsyncComponent } from './helpers/index'
+import { getPendingSuspense, registerAsyncDep } from '../components/suspense'
+import config, { getRootConfig } from '../config'
 import { SSR_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { activeInstance } from '../instance/lifecycle'
@@ -38,6 +40,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -57,6 +60,21 @@ function sameInputType (a, b) {
   return typeA === typeB || isTextInputType(typeA) && isTextInputType(typeB)
 }
 
+// 根实例 config 选项中的 ignoredElements 和全局的 ignoredElements 中的元素都会被忽略
+function isIgnoredElement (tag, vm) {
+  const rootConfig = getRootConfig(vm)
+  return matchesIgnoredElement(tag, rootConfig && rootConfig.ignoredElements) ||
+    matchesIgnoredElement(tag, config.ignoredElements)
+}
+
+function matchesIgnoredElement (tag, ignoredElements) {
+  return !!ignoredElements && ignoredElements.some(ignore => {
+    return isRegExp(ignore)
+      ? ignore.test(tag)
+      : ignore === tag
+  })
+}
+
 // export const patch: Function = createPatchFunction({ nodeOps, modules })
 // createPatchFunction 的作用：根据当前的运行环境，创建出对应的 patch 方法，并返回。
 export function createPatchFunction (backend) {
@@ -86,10 +104,37 @@ export function createPatchFunction (backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  // 服务端渲染的片段：从 <!--[--> 到与之匹配的 <!--]--> 之间的所有节点
+  function fragmentNodeAt (elm) {
+    const children = []
+    let depth = 0
+    let node = elm.nextSibling
+    while (node && !(depth === 0 && isFragmentAnchor(node, ']'))) {
+      if (isFragmentAnchor(node, '[')) {
+        depth++
+      } else if (isFragmentAnchor(node, ']')) {
+        depth--
+      }
+      children.push(new VNode(undefined, undefined, undefined, undefined, node))
+      node = node.nextSibling
+    }
+    const vnode = createFragmentVNode(children)
+    vnode.elm = elm
+    vnode.anchor = node
+    return vnode
+  }
+
+  function createRmCb (vnode, listeners) {
+    // 移除时组件可能已经被销毁了，所以在这里就确定需要移除的节点
+    const fragment = getFragment(vnode)
+    const childElm = vnode.elm
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        if (isDef(fragment)) {
+          removeFragmentElms(fragment)
+        } else {
+          removeNode(childElm)
+        }
       }
     }
     remove.listeners = listeners
@@ -104,9 +149,189 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // 如果 vnode 是片段，或者是根节点为片段的组件，返回这个片段
+  function getFragment (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  // vnode 对应的最后一个 DOM 节点，片段的最后一个节点是它的结束锚点
+  function getLastElm (vnode) {
+    const fragment = getFragment(vnode)
+    return isDef(fragment) ? fragment.anchor : vnode.elm
+  }
+
+  // 将 vnode 对应的 DOM 节点插入到 ref 之前，片段的锚点和子节点会作为一个整体插入
+  function insertVnode (parentElm, vnode, ref) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      insert(parentElm, fragment.elm, ref)
+      // <portal> 的子节点位于目标节点中，只需要移动原来位置的两个锚点
+      if (!isPortalActive(fragment)) {
+        for (let i = 0; i < fragment.children.length; ++i) {
+          insertVnode(parentElm, fragment.children[i], ref)
+        }
+      }
+      insert(parentElm, fragment.anchor, ref)
+    } else {
+      insert(parentElm, vnode.elm, ref)
+    }
+  }
+
+  function removeFragmentElms (fragment) {
+    removeNode(fragment.elm)
+    removeFragmentChildElms(fragment)
+    removeNode(fragment.anchor)
+  }
+
+  // 移除片段的子节点，<portal> 的子节点连同目标节点中的两个锚点一起移除
+  function removeFragmentChildElms (fragment) {
+    const portal = fragment.portal
+    const active = isPortalActive(fragment)
+    if (active) {
+      removeNode(portal.start)
+    }
+    for (let i = 0; i < fragment.children.length; ++i) {
+      const child = fragment.children[i]
+      const childFragment = getFragment(child)
+      if (isDef(childFragment)) {
+        removeFragmentElms(childFragment)
+      } else {
+        removeNode(child.elm)
+      }
+    }
+    if (active) {
+      removeNode(portal.anchor)
+    }
+  }
+
+  // <portal> 的子节点是否挂载在目标节点中（禁用或者找不到目标时渲染在原来的位置）
+  function isPortalActive (fragment) {
+    return isDef(fragment.portal) && !!fragment.portal.target
+  }
+
+  // 片段的子节点插入在结束锚点之前，<portal> 的子节点插入在目标节点中的结束锚点之前
+  function getChildAnchor (fragment) {
+    return isPortalActive(fragment) ? fragment.portal.anchor : fragment.anchor
+  }
+
+  function resolvePortalTarget (portal) {
+    if (portal.disabled) {
+      return null
+    }
+    if (portal.offscreen) {
+      // 等待中的 <suspense> 内容挂载到一个脱离文档的容器中
+      return isDef(nodeOps.createFragment) ? nodeOps.createFragment() : null
+    }
+    const to = portal.to
+    if (typeof to !== 'string') {
+      return to || null
+    }
+    const target = isDef(nodeOps.querySelector) ? nodeOps.querySelector(to) : null
+    if (process.env.NODE_ENV !== 'production' && !target) {
+      warn(`Failed to locate portal target "${to}", rendering its content in place.`)
+    }
+    return target
+  }
+
+  // 设置 <portal> 的目标节点，并将目标节点中的两个锚点移动到目标节点的末尾；
+  // 目标为 null 时移除这两个锚点，子节点回到原来的位置
+  function setPortalTarget (portal, target) {
+    portal.target = target
+    if (target) {
+      if (isUndef(portal.start)) {
+        portal.start = nodeOps.createComment('[')
+        portal.anchor = nodeOps.createComment(']')
+      }
+      nodeOps.appendChild(target, portal.start)
+      nodeOps.appendChild(target, portal.anchor)
+    } else if (isDef(portal.start)) {
+      removeNode(portal.start)
+      removeNode(portal.anchor)
+      portal.start = portal.anchor = undefined
+    }
+  }
+
+  // 更新 <portal>：沿用旧的目标和锚点，to 或者 disabled 变化导致目标改变时，将子节点移动到新的位置
+  function patchPortal (oldVnode, vnode) {
+    const oldPortal = oldVnode.portal
+    const portal = vnode.portal
+    portal.target = oldPortal.target
+    portal.start = oldPortal.start
+    portal.anchor = oldPortal.anchor
+    if (portal.to === oldPortal.to && portal.disabled === oldPortal.disabled) {
+      return
+    }
+    const target = resolvePortalTarget(portal)
+    if (target === portal.target) {
+      return
+    }
+    setPortalTarget(portal, target)
+    const ref = getChildAnchor(vnode)
+    const parentElm = nodeOps.parentNode(ref)
+    const children = oldVnode.children
+    for (let i = 0; i < children.length; ++i) {
+      insertVnode(parentElm, children[i], ref)
+    }
+  }
+
+  // 对 vnode 树（包括子组件渲染的 vnode）中挂载在目标节点里的 <portal> 执行 fn
+  function eachActivePortal (vnode, fn) {
+    if (isDef(vnode.componentInstance)) {
+      if (isDef(vnode.componentInstance._vnode)) {
+        eachActivePortal(vnode.componentInstance._vnode, fn)
+      }
+      return
+    }
+    if (isPortalActive(vnode) && !vnode.portal.offscreen) {
+      fn(vnode)
+    }
+    if (isDef(vnode.children)) {
+      for (let i = 0; i < vnode.children.length; ++i) {
+        eachActivePortal(vnode.children[i], fn)
+      }
+    }
+  }
+
+  // 将 <portal> 的两个锚点和子节点移动到 parentElm 的末尾
+  function movePortalContent (fragment, parentElm) {
+    const portal = fragment.portal
+    nodeOps.appendChild(parentElm, portal.start)
+    for (let i = 0; i < fragment.children.length; ++i) {
+      insertVnode(parentElm, fragment.children[i])
+    }
+    nodeOps.appendChild(parentElm, portal.anchor)
+  }
+
+  // <keep-alive> 让组件失活时，挂载在目标节点中的内容被移到一个脱离文档的容器中，
+  // 失活期间的更新也发生在这个容器中，组件再次激活时再移回目标节点
+  function deactivatePortal (fragment) {
+    if (isDef(nodeOps.createFragment)) {
+      movePortalContent(fragment, nodeOps.createFragment())
+    }
+  }
+
+  function activatePortal (fragment) {
+    movePortalContent(fragment, fragment.portal.target)
+  }
+
   let inPre = 0
   function createElm (vnode, insertedVnodeQueue, parentElm, refElm, nested) {
     vnode.isRootInsert = !nested // for transition enter check
+    if (
+      isDef(vnode.asyncFactory) &&
+      isUndef(vnode.asyncFactory.resolved) &&
+      getPendingSuspense(activeInstance)
+    ) {
+      // 外层的 <suspense> 会等待子树中正在加载的异步组件，
+      // 没有 <suspense> 等待时不创建 Promise，以免加载失败时出现未处理的 rejection
+      const loading = waitForAsyncComponent(vnode.asyncFactory)
+      if (loading) {
+        registerAsyncDep(activeInstance, loading, 'async component')
+      }
+    }
     if (createComponent(vnode, insertedVnodeQueue, parentElm, refElm)) {
       return
     }
@@ -122,14 +347,7 @@ export function createPatchFunction (backend) {
         if (
           !inPre &&
           !vnode.ns &&
-          !(
-            config.ignoredElements.length &&
-            config.ignoredElements.some(ignore => {
-              return isRegExp(ignore)
-                ? ignore.test(tag)
-                : ignore === tag
-            })
-          ) &&
+          !isIgnoredElement(tag, vnode.context) &&
           config.isUnknownElement(tag)
         ) {
           warn(
@@ -175,6 +393,8 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         inPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm)
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
@@ -184,6 +404,32 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // 片段没有自己的元素，它的子节点直接插入到父元素中起始锚点和结束锚点之间
+  function createFragment (vnode, insertedVnodeQueue, parentElm, refElm) {
+    if (isUndef(parentElm) && isDef(nodeOps.createFragment)) {
+      // 没有挂载到文档中的片段（例如没有传入挂载点的 $mount()）先放在一个 DocumentFragment 中，
+      // 这样锚点和子节点始终是相邻的兄弟节点
+      parentElm = nodeOps.createFragment()
+    }
+    vnode.elm = nodeOps.createComment('[')
+    vnode.anchor = nodeOps.createComment(']')
+    insert(parentElm, vnode.elm, refElm)
+    insert(parentElm, vnode.anchor, refElm)
+    if (isDef(vnode.portal)) {
+      setPortalTarget(vnode.portal, resolvePortalTarget(vnode.portal))
+    }
+    createFragmentChildren(vnode, insertedVnodeQueue)
+  }
+
+  function createFragmentChildren (vnode, insertedVnodeQueue) {
+    const ref = getChildAnchor(vnode)
+    const parentElm = nodeOps.parentNode(ref)
+    const children = vnode.children
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, parentElm, ref, true)
+    }
+  }
+
   function createComponent (vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data
     if (isDef(i)) {
@@ -242,7 +488,9 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
+    // 失活时移走的 <portal> 内容移回目标节点
+    eachActivePortal(vnode, activatePortal)
   }
 
   function insert (parent, elm, ref) {
@@ -325,19 +573,40 @@ export function createPatchFunction (backend) {
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
       for (i = 0; i < cbs.destroy.length; ++i) cbs.destroy[i](vnode)
+      // 被 <keep-alive> 失活（而不是销毁）的组件，它的 <portal> 内容不能留在目标节点中
+      if (
+        isTrue(data.keepAlive) &&
+        isDef(i = vnode.componentInstance) &&
+        !i._isDestroyed
+      ) {
+        eachActivePortal(vnode, deactivatePortal)
+      }
     }
     if (isDef(i = vnode.children)) {
       for (j = 0; j < vnode.children.length; ++j) {
         invokeDestroyHook(vnode.children[j])
       }
     }
+    if (isPortalActive(vnode)) {
+      // 挂载在目标节点中的内容不在组件自己的 DOM 树中，组件被销毁时（包括直接调用 $destroy()）一起移除
+      removeFragmentChildElms(vnode)
+    }
   }
 
   function removeVnodes (parentElm, vnodes, startIdx, endIdx) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isTrue(ch.isFragment)) {
+          // 片段作为组件的根节点被替换时，移除它的子节点和两个锚点
+          removeVnodes(parentElm, ch.children, 0, ch.children.length - 1)
+          removeNode(ch.elm)
+          removeNode(ch.anchor)
+          if (isPortalActive(ch)) {
+            removeNode(ch.portal.start)
+            removeNode(ch.portal.anchor)
+          }
+        } else if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -357,7 +626,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -376,7 +645,8 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  // parentAnchor 是片段的结束锚点，新增的节点不能插入到它后面
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, parentAnchor) {
     // 标识 "旧前" 的下标
     let oldStartIdx = 0
     // 标识 "新前" 的下标
@@ -426,13 +696,13 @@ export function createPatchFunction (backend) {
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         // 新后和旧前比较
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && insertVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastElm(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         // 新前和旧后比较
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && insertVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -465,7 +735,7 @@ export function createPatchFunction (backend) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue)
             // 因为旧子节点已经处理过了，所以需要将 oldCh[idxInOld] 设置为 undefined，防止出现重复处理的情况
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && insertVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // 如果程序员给子节点标注的 key 属性不规范的话，就有可能出现 key 相同，但根本不是同一节点的情况，
             // 此时将当前循环的新子节点当做新增节点接口
@@ -479,7 +749,7 @@ export function createPatchFunction (backend) {
 
     if (oldStartIdx > oldEndIdx) {
       // 1，如果 while() 循环结束，newChildren 还有未处理的节点，则这些未处理的节点都是新增节点，需要进行创建和插入的操作。
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      refElm = isUndef(newCh[newEndIdx + 1]) ? parentAnchor : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       // 2，如果 while() 循环结束，oldChildren 还有未处理的节点，则这些未处理的节点都是要删除的节点，从 DOM 中将它们删除即可。
@@ -516,6 +786,17 @@ export function createPatchFunction (backend) {
     // 获取对比 vnode 对应的真实的 DOM 节点
     const elm = vnode.elm = oldVnode.elm
 
+    if (isTrue(vnode.isFragment)) {
+      // 片段的子节点位于父元素中两个锚点之间，<portal> 的子节点位于目标节点中
+      vnode.anchor = oldVnode.anchor
+      if (isDef(vnode.portal)) {
+        patchPortal(oldVnode, vnode)
+      }
+      const anchor = getChildAnchor(vnode)
+      updateChildren(nodeOps.parentNode(anchor), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, anchor)
+      return
+    }
+
     if (isTrue(oldVnode.isAsyncPlaceholder)) {
       if (isDef(vnode.asyncFactory.resolved)) {
         hydrate(oldVnode.elm, vnode, insertedVnodeQueue)
@@ -588,6 +869,9 @@ export function createPatchFunction (backend) {
 
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   function hydrate (elm, vnode, insertedVnodeQueue) {
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue)
+    }
     if (isTrue(vnode.isComment) && isDef(vnode.asyncFactory)) {
       vnode.elm = elm
       vnode.isAsyncPlaceholder = true
@@ -638,7 +922,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -671,6 +955,75 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // 服务端渲染的片段由 <!--[--> 和 <!--]--> 两个注释节点包裹
+  function hydrateFragment (elm, vnode, insertedVnodeQueue) {
+    if (!isFragmentAnchor(elm, '[')) {
+      return false
+    }
+    vnode.elm = elm
+    const portal = vnode.portal
+    const target = isDef(portal) ? resolvePortalTarget(portal) : null
+    if (target) {
+      // <portal> 的内容被渲染到了目标节点中，原来的位置只有两个锚点
+      const anchor = elm.nextSibling
+      if (!anchor || !isFragmentAnchor(anchor, ']')) {
+        return false
+      }
+      vnode.anchor = anchor
+      return hydratePortal(vnode, target, insertedVnodeQueue)
+    }
+    if (isDef(portal)) {
+      portal.target = null
+    }
+    const anchor = hydrateChildrenBetween(elm, vnode.children, insertedVnodeQueue)
+    if (!anchor) {
+      return false
+    }
+    vnode.anchor = anchor
+    return true
+  }
+
+  // 激活 [ 之后的子节点，成功时返回与之匹配的 ] 锚点
+  function hydrateChildrenBetween (start, children, insertedVnodeQueue) {
+    let childNode = start.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue)) {
+        return
+      }
+      childNode = getLastElm(children[i]).nextSibling
+    }
+    if (childNode && isFragmentAnchor(childNode, ']')) {
+      return childNode
+    }
+  }
+
+  // 同一个目标节点中可能依次注入了多个 <portal> 的内容，从上一个激活的 <portal> 之后开始查找
+  function hydratePortal (vnode, target, insertedVnodeQueue) {
+    const portal = vnode.portal
+    portal.target = target
+    let start = isDef(target._portalAnchor) ? target._portalAnchor.nextSibling : target.firstChild
+    while (start && !isFragmentAnchor(start, '[')) {
+      start = start.nextSibling
+    }
+    if (!start) {
+      // 服务端没有输出这个 <portal> 的内容（例如目标是一个 DOM 节点），直接在客户端创建
+      setPortalTarget(portal, target)
+      createFragmentChildren(vnode, insertedVnodeQueue)
+      return true
+    }
+    const anchor = hydrateChildrenBetween(start, vnode.children, insertedVnodeQueue)
+    if (!anchor) {
+      return false
+    }
+    portal.start = start
+    portal.anchor = target._portalAnchor = anchor
+    return true
+  }
+
+  function isFragmentAnchor (node, text) {
+    return node.nodeType === 8 && node.data === text
+  }
+
   function assertNodeMatch (node, vnode) {
     if (isDef(vnode.tag)) {
       return (
@@ -731,7 +1084,9 @@ export function createPatchFunction (backend) {
           }
           // either not server-rendered, or hydration failed.
           // create an empty node and replace it
-          oldVnode = emptyNodeAt(oldVnode)
+          oldVnode = isFragmentAnchor(oldVnode, '[')
+            ? fragmentNodeAt(oldVnode)
+            : emptyNodeAt(oldVnode)
         }
         // replacing existing element
         const oldElm = oldVnode.elm
@@ -747,7 +1102,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // 步骤二：更新父的占位符节点
@@ -786,7 +1141,7 @@ export function createPatchFunction (backend) {
         // 步骤三：删除旧的节点
         if (isDef(parentElm)) {
           removeVnodes(parentElm, [oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
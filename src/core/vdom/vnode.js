@@ -6,6 +6,7 @@ export default class VNode {
   children: ?Array<VNode>;
   text: string | void;
   elm: Node | void;
+  anchor: Node | void; // end anchor of a fragment
   ns: string | void;
   context: Component | void; // rendered in this component's scope
   key: string | number | void;
@@ -18,6 +19,8 @@ export default class VNode {
   isStatic: boolean; // hoisted static node
   isRootInsert: boolean; // necessary for enter transition check
   isComment: boolean; // empty comment placeholder?
+  isFragment: boolean; // multiple root nodes of a component?
+  portal: VNodePortal | void; // target of a <portal> fragment
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
   asyncFactory: Function | void; // async component factory function
@@ -43,6 +46,7 @@ export default class VNode {
     this.children = children
     this.text = text
     this.elm = elm
+    this.anchor = undefined
     this.ns = undefined
     this.context = context
     this.functionalContext = undefined
@@ -56,6 +60,8 @@ export default class VNode {
     this.isStatic = false
     this.isRootInsert = true
     this.isComment = false
+    this.isFragment = false
+    this.portal = undefined
     this.isCloned = false
     this.isOnce = false
     this.asyncFactory = asyncFactory
@@ -77,6 +83,35 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+/**
+ * A fragment groups the root nodes of a component that renders more
+ * than one. Its children are placed between two comment anchors:
+ * `elm` is the start anchor and `anchor` the end anchor.
+ */
+export function createFragmentVNode (children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
+// <portal> 渲染的片段：子节点被挂载到 to 指定的目标节点中，原来的位置只保留两个锚点
+export function createPortalVNode (
+  children: Array<VNode>,
+  to: string | Node,
+  disabled: boolean
+) {
+  const node = createFragmentVNode(children)
+  node.portal = { to, disabled }
+  return node
+}
+
+// <suspense> 的内容：等待期间（hidden 为 true）挂载到一个脱离文档的容器中，完成之后移动到原来的位置
+export function createOffscreenVNode (children: Array<VNode>, hidden: boolean) {
+  const node = createFragmentVNode(children)
+  node.portal = { to: null, offscreen: true, disabled: !hidden }
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -100,6 +135,7 @@ export function cloneVNode (vnode: VNode, deep?: boolean): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
   cloned.isCloned = true
   if (deep && vnode.children) {
     cloned.children = cloneVNodes(vnode.children)
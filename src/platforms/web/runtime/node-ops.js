@@ -26,6 +26,14 @@ export function createComment (text: string): Comment {
   return document.createComment(text)
 }
 
+export function createFragment (): DocumentFragment {
+  return document.createDocumentFragment()
+}
+
+export function querySelector (selector: string): ?Element {
+  return document.querySelector(selector)
+}
+
 export function insertBefore (parentNode: Node, newNode: Node, referenceNode: Node) {
   parentNode.insertBefore(newNode, referenceNode)
 }
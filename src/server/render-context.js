@@ -17,6 +17,14 @@ type RenderState = {
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
   key: string;
+} | {
+  type: 'ErrorBoundary';
+  vm: Component;
+  node: VNode;
+  isRoot: boolean;
+} | {
+  type: 'Portal';
+  to: string;
 };
 
 export class RenderContext {
@@ -104,6 +112,31 @@ export class RenderContext {
         componentBuffer.length = bufferIndex
         this.next()
         break
+      case 'ErrorBoundary':
+        this.renderStates.pop()
+        const html = this.write.boundaryBuffer.pop()
+        const boundary = lastState.vm
+        if ((boundary: any).error === null) {
+          this.write(html, this.next)
+        } else {
+          // the subtree failed: discard its output and render the
+          // boundary again, which now returns the fallback content.
+          const fallbackNode = boundary._render()
+          fallbackNode.parent = lastState.node
+          this.renderStates.push({
+            type: 'Component',
+            prevActive: this.activeInstance
+          })
+          this.activeInstance = boundary
+          this.renderNode(fallbackNode, lastState.isRoot, this)
+        }
+        break
+      case 'Portal':
+        this.renderStates.pop()
+        const portals = (this.userContext: any).portals || ((this.userContext: any).portals = {})
+        portals[lastState.to] = (portals[lastState.to] || '') + this.write.boundaryBuffer.pop()
+        this.next()
+        break
     }
   }
 }
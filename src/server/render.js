@@ -51,6 +51,13 @@ const normalizeRender = vm => {
 function renderNode (node, isRoot, context) {
   if (node.isString) {
     renderStringNode(node, context)
+  } else if (isTrue(node.isFragment)) {
+    // <suspense> 的内容（offscreen）始终渲染在原来的位置
+    if (isDef(node.portal) && !node.portal.disabled && !node.portal.offscreen) {
+      renderPortal(node, context)
+    } else {
+      renderFragment(node, context)
+    }
   } else if (isDef(node.componentOptions)) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
@@ -167,6 +174,17 @@ function renderComponentInner (node, isRoot, context) {
   normalizeRender(child)
   const childNode = child._render()
   childNode.parent = node
+  if (isTrue(child.$options.errorBoundary)) {
+    // 子树中的错误会在渲染过程中被 <error-boundary> 捕获，
+    // 所以先缓冲它的输出，渲染完成后再决定输出子树还是备用内容
+    context.write.boundaryBuffer.push('')
+    context.renderStates.push({
+      type: 'ErrorBoundary',
+      vm: child,
+      node,
+      isRoot
+    })
+  }
   context.renderStates.push({
     type: 'Component',
     prevActive
@@ -243,6 +261,43 @@ function renderStringNode (el, context) {
   }
 }
 
+// 片段的子节点包裹在 <!--[--> 和 <!--]--> 两个注释之间，客户端激活时根据它们找到片段的范围
+function renderFragment (node, context) {
+  const { write, next } = context
+  if (node.children.length === 0) {
+    write('<!--[--><!--]-->', next)
+  } else {
+    const children: Array<VNode> = node.children
+    context.renderStates.push({
+      type: 'Element',
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--]-->', children
+    })
+    write('<!--[-->', next)
+  }
+}
+
+// <portal> 在原来的位置只输出两个锚点，子节点单独渲染并收集到 context.portals[to] 中，
+// 由模板渲染器注入到页面中（参见 TemplateRenderer 的 renderPortals）
+function renderPortal (node, context) {
+  const { write, next, userContext } = context
+  const to = node.portal.to
+  if (!userContext || typeof to !== 'string') {
+    // 无法收集的内容（例如目标是一个 DOM 节点）不在服务端渲染，由客户端挂载
+    write('<!--[--><!--]-->', next)
+    return
+  }
+  context.renderStates.push({
+    type: 'Portal',
+    to
+  })
+  write('<!--[--><!--]-->', () => {
+    write.boundaryBuffer.push('')
+    renderFragment(node, context)
+  })
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
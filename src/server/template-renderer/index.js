@@ -71,7 +71,7 @@ export default class TemplateRenderer {
 
   bindRenderFns (context: Object) {
     const renderer: any = this
-    ;['ResourceHints', 'State', 'Scripts', 'Styles'].forEach(type => {
+    ;['ResourceHints', 'State', 'Scripts', 'Styles', 'Portals'].forEach(type => {
       context[`render${type}`] = renderer[`render${type}`].bind(renderer, context)
     })
     // also expose getPreloadFiles, useful for HTTP/2 push
@@ -93,6 +93,7 @@ export default class TemplateRenderer {
         this.renderStyles(context) +
         template.neck(context) +
         content +
+        this.renderPortals(context) +
         this.renderState(context) +
         this.renderScripts(context) +
         template.tail(context)
@@ -201,6 +202,12 @@ export default class TemplateRenderer {
       : ''
   }
 
+  // content of <portal>s collected during rendering, keyed by their target
+  // selector. Portals to "body" are injected after the app content.
+  renderPortals (context: Object, to: string = 'body'): string {
+    return (context.portals && context.portals[to]) || ''
+  }
+
   renderScripts (context: Object): string {
     if (this.clientManifest) {
       const initial = this.preloadFiles
@@ -63,6 +63,12 @@ export default class TemplateStream extends Transform {
     this.emit('beforeEnd')
 
     if (this.inject) {
+      // content of portals targeting body
+      const portals = this.renderer.renderPortals(this.context)
+      if (portals) {
+        this.push(portals)
+      }
+
       // inline initial store state
       const state = this.renderer.renderState(this.context)
       if (state) {
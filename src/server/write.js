@@ -25,6 +25,14 @@ export function createWriteFunction (
 ): Function {
   let stackDepth = 0
   const cachedWrite = (text, next) => {
+    // 处于 <error-boundary> 内部时，先把输出缓冲起来，
+    // 等子树渲染完成、确定没有出错之后再真正写出（参见 RenderContext 的 ErrorBoundary 状态）；
+    // <portal> 的内容同样先缓冲起来，之后被收集到 context.portals 中（参见 Portal 状态）
+    const boundaryBuffer = cachedWrite.boundaryBuffer
+    if (text && boundaryBuffer.length) {
+      boundaryBuffer[boundaryBuffer.length - 1] += text
+      text = ''
+    }
     if (text && cachedWrite.caching) {
       cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
     }
@@ -46,5 +54,6 @@ export function createWriteFunction (
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  cachedWrite.boundaryBuffer = []
   return cachedWrite
 }
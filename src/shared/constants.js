@@ -17,5 +17,7 @@ export const LIFECYCLE_HOOKS = [
   'destroyed',
   'activated',
   'deactivated',
-  'errorCaptured'
+  'errorCaptured',
+  'renderTracked',
+  'renderTriggered'
 ]
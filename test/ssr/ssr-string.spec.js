@@ -812,6 +812,61 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('error-boundary', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <div><span>before</span><child/></div>
+            <template slot="fallback" slot-scope="{ error, info }">
+              <p>{{ error.message }} ({{ info }})</p>
+            </template>
+          </error-boundary>
+          <error-boundary><span>ok</span></error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          render () {
+            throw new Error('oops')
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><p>oops (render)</p> <span>ok</span></div>'
+      )
+      done()
+    })
+  })
+
+  it('error-boundary (nested)', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <error-boundary>
+              <child/>
+              <child slot="fallback"/>
+            </error-boundary>
+            <p slot="fallback">outer</p>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          created () {
+            throw new Error('oops')
+          },
+          render: h => h('span')
+        }
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true"><p>outer</p></div>')
+      done()
+    })
+  })
+
   it('default value Foreign Function', () => {
     const FunctionConstructor = VM.runInNewContext('Function')
     const func = () => 123
@@ -981,11 +1036,72 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('fragments', done => {
+    renderVmWithOptions({
+      template: '<div><test :msg="msg"/></div>',
+      data: { msg: 'hi' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<span>{{ msg }}</span><b>static</b><empty/>',
+          components: {
+            empty: { render: () => [] }
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><span>hi</span><b>static</b><!--[--><!--]--><!--]-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('portals', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: '<div>' +
+        '<portal to="#modals"><p>{{ msg }}</p></portal>' +
+        '<portal to="#modals"><b>second</b></portal>' +
+        '<portal to="#modals" disabled><i>in place</i></portal>' +
+        '<portal :to="{}"><i>client only</i></portal>' +
+      '</div>',
+      data: { msg: 'hi' }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<!--[--><!--]--><!--[--><!--]--><!--[--><i>in place</i><!--]--><!--[--><!--]-->' +
+        '</div>'
+      )
+      expect(context.portals).toEqual({
+        '#modals': '<!--[--><p>hi</p><!--]--><!--[--><b>second</b><!--]-->'
+      })
+      done()
+    })
+  })
+
+  it('suspense', done => {
+    renderVmWithOptions({
+      template: '<div><suspense><p>content</p><span slot="fallback">loading</span></suspense></div>'
+    }, result => {
+      // the server does not wait for async dependencies, the content is rendered in place
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><!--[--><p>content</p><!--]--><!--]-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div><div v-else></div></div>`
     }), (err, res) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('v-else used on element <div> without corresponding v-if')
       done()
     })
   })
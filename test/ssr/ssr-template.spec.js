@@ -165,6 +165,54 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToString with portals', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet-->{{{ renderPortals('#modals') }}}</body></html>`
+    })
+
+    const context = { state: { a: 1 }}
+
+    renderer.renderToString(new Vue({
+      template: '<div><portal to="body"><p>body</p></portal><portal to="#modals"><p>modal</p></portal></div>'
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true"><!--[--><!--]--><!--[--><!--]--></div>` +
+        // portals to body are injected after the app content
+        `<!--[--><p>body</p><!--]-->` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `<!--[--><p>modal</p><!--]-->` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
+  it('renderToStream with portals', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate
+    })
+
+    const stream = renderer.renderToStream(new Vue({
+      template: '<div><portal to="body"><p>body</p></portal></div>'
+    }), {})
+
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk
+    })
+    stream.on('end', () => {
+      expect(res).toContain(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true"><!--[--><!--]--></div>` +
+        `<!--[--><p>body</p><!--]-->` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
   it('bundleRenderer + renderToString', done => {
     createBundleRenderer('app.js', {
       asBundle: true,
@@ -343,4 +343,186 @@ describe('Component async', () => {
       }, 50)
     })
   })
+
+  describe('retry', () => {
+    beforeEach(() => {
+      jasmine.clock().install()
+    })
+
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    // a loader that fails `failures` times before it resolves. It returns
+    // thenables that settle synchronously, so only the retry delays are async
+    function createLoader (failures) {
+      const loader = jasmine.createSpy('loader').and.callFake(() => ({
+        then (resolve, reject) {
+          loader.calls.count() <= failures
+            ? reject(new Error('network error'))
+            : resolve({ template: '<div>hi</div>' })
+        }
+      }))
+      return loader
+    }
+
+    function mount (options) {
+      return new Vue({
+        template: `<div><test/></div>`,
+        components: {
+          test: () => Object.assign({}, options, { component: options.component() })
+        }
+      }).$mount()
+    }
+
+    it('should retry failed loads', done => {
+      const loader = createLoader(2)
+      const vm = mount({
+        component: loader,
+        retry: { attempts: 3, delay: 0 }
+      })
+      expect(loader.calls.count()).toBe(1)
+      jasmine.clock().tick(0)
+      expect(loader.calls.count()).toBe(2)
+      jasmine.clock().tick(0)
+      expect(loader.calls.count()).toBe(3)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('hi')
+        expect(`Failed to resolve async component`).not.toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('should render the error component once attempts are used up', done => {
+      const loader = createLoader(Infinity)
+      const vm = mount({
+        component: loader,
+        error: { template: `<div>error</div>` },
+        retry: { attempts: 2, delay: 0 }
+      })
+      jasmine.clock().tick(0)
+      jasmine.clock().tick(0)
+      jasmine.clock().tick(0)
+      expect(loader.calls.count()).toBe(3)
+      expect(`Failed to resolve async component`).toHaveBeenWarned()
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('error')
+      }).then(done)
+    })
+
+    it('should accept the number of attempts', () => {
+      const loader = createLoader(Infinity)
+      mount({ component: loader, retry: 2 })
+      // default delay of 1000ms with exponential backoff
+      jasmine.clock().tick(999)
+      expect(loader.calls.count()).toBe(1)
+      jasmine.clock().tick(1)
+      expect(loader.calls.count()).toBe(2)
+      jasmine.clock().tick(1999)
+      expect(loader.calls.count()).toBe(2)
+      jasmine.clock().tick(1)
+      expect(loader.calls.count()).toBe(3)
+      expect(`Failed to resolve async component`).toHaveBeenWarned()
+    })
+
+    ;[
+      ['fixed', [10, 10, 10]],
+      ['linear', [10, 20, 30]],
+      ['exponential', [10, 20, 40]]
+    ].forEach(([backoff, delays]) => {
+      it(`should wait between attempts with ${backoff} backoff`, () => {
+        const loader = createLoader(Infinity)
+        mount({
+          component: loader,
+          retry: { attempts: 3, delay: 10, backoff }
+        })
+        delays.forEach((delay, i) => {
+          jasmine.clock().tick(delay - 1)
+          expect(loader.calls.count()).toBe(i + 1)
+          jasmine.clock().tick(1)
+          expect(loader.calls.count()).toBe(i + 2)
+        })
+        expect(`Failed to resolve async component`).toHaveBeenWarned()
+      })
+    })
+
+    it('should accept a backoff function', done => {
+      const loader = createLoader(2)
+      const backoff = jasmine.createSpy('backoff').and.callFake(attempt => attempt * 5)
+      const vm = mount({
+        component: loader,
+        retry: { backoff }
+      })
+      jasmine.clock().tick(5)
+      jasmine.clock().tick(10)
+      expect(backoff.calls.allArgs()).toEqual([[1], [2]])
+      expect(loader.calls.count()).toBe(3)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('hi')
+      }).then(done)
+    })
+
+    it('should let onError decide whether to retry', done => {
+      const loader = createLoader(Infinity)
+      const onError = jasmine.createSpy('onError').and.callFake((reason, retry, fail, attempts) => {
+        attempts < 2 ? retry() : fail()
+      })
+      const vm = mount({
+        component: loader,
+        error: { template: `<div>error</div>` },
+        retry: { delay: 0, onError }
+      })
+      expect(onError.calls.count()).toBe(1)
+      expect(onError.calls.argsFor(0)[0].message).toBe('network error')
+      jasmine.clock().tick(0)
+      expect(onError.calls.count()).toBe(2)
+      expect(onError.calls.argsFor(1)[3]).toBe(2)
+      jasmine.clock().tick(1000)
+      expect(loader.calls.count()).toBe(2)
+      expect(`Failed to resolve async component`).toHaveBeenWarned()
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('error')
+      }).then(done)
+    })
+
+    it('should retry loads that timed out', done => {
+      const loader = jasmine.createSpy('loader').and.callFake(() => ({
+        // the first attempt never settles
+        then (resolve) {
+          loader.calls.count() > 1 && resolve({ template: '<div>hi</div>' })
+        }
+      }))
+      const vm = mount({
+        component: loader,
+        timeout: 10,
+        retry: { delay: 0 }
+      })
+      jasmine.clock().tick(10)
+      jasmine.clock().tick(0)
+      expect(loader.calls.count()).toBe(2)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('hi')
+        expect(`Failed to resolve async component`).not.toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('should load again after Vue.resetAsyncComponent', done => {
+      const loader = createLoader(1)
+      const factory = () => ({
+        component: loader(),
+        error: { template: `<div>error</div>` }
+      })
+      const vm = new Vue({
+        template: `<div><test/></div>`,
+        components: { test: factory }
+      }).$mount()
+      expect(`Failed to resolve async component`).toHaveBeenWarned()
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('error')
+        Vue.resetAsyncComponent(factory)
+      }).then(() => {
+        expect(loader.calls.count()).toBe(2)
+        expect(vm.$el.textContent).toBe('hi')
+      }).then(done)
+    })
+  })
 })
@@ -0,0 +1,254 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  const fallback = `
+    <template slot="fallback" slot-scope="{ error, info, reset }">
+      <div class="fallback">{{ error.message }} ({{ info }})</div>
+    </template>
+  `
+
+  function createBoundary (child, extra = {}) {
+    return new Vue(Object.assign({
+      template: `
+        <div>
+          <error-boundary>
+            <child/>
+            ${fallback}
+          </error-boundary>
+        </div>
+      `,
+      components: { child }
+    }, extra)).$mount()
+  }
+
+  it('should render the default slot', () => {
+    const vm = createBoundary({ template: '<span>ok</span>' })
+    expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+  })
+
+  it('should catch render errors', done => {
+    const vm = createBoundary({
+      render () {
+        throw new Error('render')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('render (render)')
+    }).then(done)
+  })
+
+  it('should catch lifecycle hook errors', done => {
+    const vm = createBoundary({
+      template: '<span>ok</span>',
+      created () {
+        throw new Error('created')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('created (created hook)')
+    }).then(done)
+  })
+
+  it('should catch watcher errors', done => {
+    const vm = createBoundary({
+      data: () => ({ n: 0 }),
+      template: '<span>{{ n }}</span>',
+      watch: {
+        n () {
+          throw new Error('watch')
+        }
+      }
+    })
+    vm.$children[0].n++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('watch (callback for watcher "n")')
+    }).then(done)
+  })
+
+  it('should catch v-on handler errors', done => {
+    const vm = createBoundary({
+      template: '<button @click="onClick">ok</button>',
+      methods: {
+        onClick () {
+          throw new Error('click')
+        }
+      }
+    })
+    triggerEvent(vm.$el.querySelector('button'), 'click')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('click (v-on handler)')
+    }).then(done)
+  })
+
+  it('should catch component event handler errors', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <div><child @foo="onFoo"/></div>
+            ${fallback}
+          </error-boundary>
+        </div>
+      `,
+      methods: {
+        onFoo () {
+          throw new Error('foo')
+        }
+      },
+      components: {
+        child: {
+          template: '<span>ok</span>',
+          mounted () {
+            this.$emit('foo')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo (v-on handler)')
+    }).then(done)
+  })
+
+  it('should re-create the subtree on reset', done => {
+    let shouldThrow = true
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <child/>
+            <template slot="fallback" slot-scope="{ error, reset }">
+              <button @click="reset">{{ error.message }}</button>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          render (h) {
+            if (shouldThrow) {
+              throw new Error('oops')
+            }
+            return h('span', 'ok')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('oops')
+      shouldThrow = false
+      triggerEvent(vm.$el.querySelector('button'), 'click')
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+    }).then(done)
+  })
+
+  it('should render nothing without a fallback slot', done => {
+    const vm = new Vue({
+      template: '<div><error-boundary><child/></error-boundary></div>',
+      components: {
+        child: {
+          render () {
+            throw new Error('render')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should support a non-scoped fallback slot', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <child/>
+            <p slot="fallback">failed</p>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          render () {
+            throw new Error('render')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>failed</p>')
+    }).then(done)
+  })
+
+  it('should stop propagation and emit an error event', done => {
+    const err = new Error('render')
+    const captured = jasmine.createSpy('errorCaptured')
+    const onError = jasmine.createSpy('error')
+    let child
+    new Vue({
+      template: `
+        <div>
+          <error-boundary @error="onError">
+            <child/>
+          </error-boundary>
+        </div>
+      `,
+      errorCaptured: captured,
+      methods: { onError },
+      components: {
+        child: {
+          created () {
+            child = this
+          },
+          render () {
+            throw err
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(captured).not.toHaveBeenCalled()
+      expect(onError).toHaveBeenCalledWith(err, child, 'render')
+    }).then(done)
+  })
+
+  it('should pass errors from the fallback to outer boundaries', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <error-boundary>
+              <child/>
+              <template slot="fallback" slot-scope="props">
+                <child/>
+              </template>
+            </error-boundary>
+            <template slot="fallback" slot-scope="{ error }">
+              <p>outer: {{ error.message }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          render () {
+            throw new Error('render')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      // next tick: the inner boundary renders its (failing) fallback
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>outer: render</p>')
+    }).then(done)
+  })
+
+  it('should warn multiple children', () => {
+    new Vue({
+      template: '<div><error-boundary><p>a</p><p>b</p></error-boundary></div>'
+    }).$mount()
+    expect('<error-boundary> can only be used on a single element.').toHaveBeenWarned()
+  })
+})
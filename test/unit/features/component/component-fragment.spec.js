@@ -0,0 +1,197 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Row = {
+    props: ['id'],
+    template: '<td>{{ id }}</td><td>{{ id * 2 }}</td>'
+  }
+
+  function cells (el) {
+    return [].map.call(el.querySelectorAll('td'), td => td.textContent)
+  }
+
+  it('should render multiple root nodes between anchors', done => {
+    const vm = new Vue({
+      data: { id: 1 },
+      template: '<tr><row :id="id"/></tr>',
+      components: { Row }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><td>1</td><td>2</td><!--]-->')
+    const child = vm.$children[0]
+    // $el of a fragment is its start anchor
+    expect(child.$el).toBe(vm.$el.firstChild)
+    expect(child.$el.nodeType).toBe(8)
+    const td = vm.$el.querySelector('td')
+    vm.id = 2
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><td>2</td><td>4</td><!--]-->')
+      expect(vm.$el.querySelector('td')).toBe(td)
+    }).then(done)
+  })
+
+  it('should accept arrays returned from render functions', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      template: '<div><child :items="items"/></div>',
+      components: {
+        child: {
+          props: ['items'],
+          render (h) {
+            return [
+              'text',
+              this.items.map(item => h('span', item)),
+              h('p', 'last')
+            ]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[-->text<span>a</span><span>b</span><p>last</p><!--]-->')
+    vm.items.push('c')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[-->text<span>a</span><span>b</span><span>c</span><p>last</p><!--]-->')
+      vm.items = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[-->text<p>last</p><!--]-->')
+    }).then(done)
+  })
+
+  it('should support v-for on the root element', done => {
+    const vm = new Vue({
+      data: { items: [1, 2] },
+      template: '<ul><child :items="items"/><li>end</li></ul>',
+      components: {
+        child: {
+          props: ['items'],
+          template: '<li v-for="i in items" :key="i">{{ i }}</li>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('12end')
+    vm.items = [2, 3, 1]
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('231end')
+    }).then(done)
+  })
+
+  it('should move fragments as a unit', done => {
+    const vm = new Vue({
+      data: { ids: [1, 2, 3] },
+      template: '<tr><row v-for="id in ids" :key="id" :id="id"/></tr>',
+      components: { Row }
+    }).$mount()
+    expect(cells(vm.$el)).toEqual(['1', '2', '2', '4', '3', '6'])
+    const first = vm.$el.querySelector('td')
+    vm.ids = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(cells(vm.$el)).toEqual(['3', '6', '1', '2', '2', '4'])
+      expect(vm.$el.querySelectorAll('td')[2]).toBe(first)
+      vm.ids = [2, 4, 3]
+    }).then(() => {
+      expect(cells(vm.$el)).toEqual(['2', '4', '4', '8', '3', '6'])
+      vm.ids = []
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should remove fragments and destroy their children', done => {
+    const spy = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      template: '<div><child v-if="ok"/><span>end</span></div>',
+      components: {
+        child: {
+          template: '<p>a</p><inner/>',
+          components: {
+            inner: {
+              template: '<b>b</b>',
+              destroyed: spy
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>a</p><b>b</b><!--]--><span>end</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>end</span>')
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should switch between a fragment and a single root', done => {
+    const vm = new Vue({
+      data: { multi: true },
+      template: '<div><child :multi="multi"/><span>end</span></div>',
+      components: {
+        child: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [h('a'), h('b')] : h('p')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<!--[--><a></a><b></b><!--]--><span>end</span>')
+    vm.multi = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p></p><span>end</span>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+      expect(child.$vnode.elm).toBe(child.$el)
+      vm.multi = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><a></a><b></b><!--]--><span>end</span>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      data: { view: 'one' },
+      template: '<div><keep-alive><component :is="view"/></keep-alive><span>end</span></div>',
+      components: {
+        one: { template: '<a>1</a><a>2</a>' },
+        two: { template: '<b>two</b>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><a>1</a><a>2</a><!--]--><span>end</span>')
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>two</b><span>end</span>')
+      vm.view = 'one'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><a>1</a><a>2</a><!--]--><span>end</span>')
+    }).then(done)
+  })
+
+  it('should mount a fragment root in place of the element', done => {
+    const container = document.createElement('div')
+    container.innerHTML = '<div id="app"></div><span>end</span>'
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<p>{{ msg }}</p><p>bar</p>'
+    }).$mount(container.firstChild)
+    expect(container.innerHTML).toBe('<!--[--><p>foo</p><p>bar</p><!--]--><span>end</span>')
+    expect(vm.$el).toBe(container.firstChild)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<!--[--><p>baz</p><p>bar</p><!--]--><span>end</span>')
+    }).then(done)
+  })
+
+  it('should keep detached fragments in a document fragment', done => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<p>{{ msg }}</p><p>bar</p>'
+    }).$mount()
+    const container = document.createElement('div')
+    container.appendChild(vm.$el.parentNode)
+    expect(container.innerHTML).toBe('<!--[--><p>foo</p><p>bar</p><!--]-->')
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<!--[--><p>baz</p><p>bar</p><!--]-->')
+    }).then(done)
+  })
+})
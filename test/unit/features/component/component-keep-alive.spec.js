@@ -477,6 +477,157 @@ describe('Component keep-alive', () => {
     }).then(done)
   })
 
+  describe('ttl', () => {
+    beforeEach(() => {
+      jasmine.clock().install()
+      jasmine.clock().mockDate()
+    })
+
+    afterEach(() => {
+      jasmine.clock().uninstall()
+    })
+
+    it('should destroy cached instances that stayed inactive longer than ttl', done => {
+      const evict = jasmine.createSpy('cache-evict')
+      const vm = new Vue({
+        template: `
+          <div>
+            <keep-alive ttl="1000" @cache-evict="evict">
+              <component :is="view" :key="view"></component>
+            </keep-alive>
+          </div>
+        `,
+        data: { view: 'one' },
+        methods: { evict },
+        components
+      }).$mount()
+      // the active component never expires
+      jasmine.clock().tick(2000)
+      assertHookCalls(one, [1, 1, 1, 0, 0])
+      vm.view = 'two'
+      waitForUpdate(() => {
+        jasmine.clock().tick(999)
+        assertHookCalls(one, [1, 1, 1, 1, 0])
+        jasmine.clock().tick(1)
+        assertHookCalls(one, [1, 1, 1, 1, 1])
+        expect(evict).toHaveBeenCalledWith('one', 'ttl')
+        vm.view = 'one'
+      }).then(() => {
+        // a new instance is created
+        assertHookCalls(one, [2, 2, 2, 1, 1])
+        assertHookCalls(two, [1, 1, 1, 1, 0])
+        expect(vm.$el.textContent).toBe('one')
+      }).then(done)
+    })
+
+    it('should reuse cached instances before they expire', done => {
+      const vm = new Vue({
+        template: `
+          <div>
+            <keep-alive ttl="1000">
+              <component :is="view" :key="view"></component>
+            </keep-alive>
+          </div>
+        `,
+        data: { view: 'one' },
+        components
+      }).$mount()
+      vm.view = 'two'
+      waitForUpdate(() => {
+        jasmine.clock().tick(500)
+        vm.view = 'one'
+      }).then(() => {
+        jasmine.clock().tick(500)
+        vm.view = 'two'
+      }).then(() => {
+        jasmine.clock().tick(999)
+        assertHookCalls(one, [1, 1, 2, 2, 0])
+        assertHookCalls(two, [1, 1, 2, 1, 0])
+      }).then(done)
+    })
+  })
+
+  it('should use the key returned by cacheKey', done => {
+    const created = jasmine.createSpy('created')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="cache" :cache-key="cacheKey">
+            <item :id="id"></item>
+          </keep-alive>
+        </div>
+      `,
+      data: { id: 1 },
+      methods: {
+        cacheKey: vnode => `item-${vnode.componentOptions.propsData.id}`
+      },
+      components: {
+        item: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created
+        }
+      }
+    }).$mount()
+    vm.id = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2')
+      expect(created.calls.count()).toBe(2)
+      vm.id = 1
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1')
+      expect(created.calls.count()).toBe(2)
+      expect(vm.$refs.cache.keys).toEqual(['item-2', 'item-1'])
+    }).then(done)
+  })
+
+  it('should evict and clear cached instances and emit cache events', done => {
+    const hit = jasmine.createSpy('cache-hit')
+    const evict = jasmine.createSpy('cache-evict')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="cache" @cache-hit="hit" @cache-evict="evict">
+            <component :is="view" :key="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: { view: 'one' },
+      methods: { hit, evict },
+      components
+    }).$mount()
+    const cache = vm.$refs.cache
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(hit).not.toHaveBeenCalled()
+      vm.view = 'one'
+    }).then(() => {
+      expect(hit).toHaveBeenCalledWith('one', vm.$children[0])
+      cache.evict('two')
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+      expect(evict).toHaveBeenCalledWith('two', 'manual')
+      vm.view = 'two'
+    }).then(() => {
+      // evicted instances are created again
+      assertHookCalls(two, [2, 2, 2, 1, 1])
+      expect(hit.calls.count()).toBe(1)
+      cache.clear()
+      assertHookCalls(one, [1, 1, 2, 2, 1])
+      // the active instance is kept until it is switched away
+      assertHookCalls(two, [2, 2, 2, 1, 1])
+      expect(evict.calls.allArgs()).toEqual([
+        ['two', 'manual'],
+        ['one', 'manual'],
+        ['two', 'manual']
+      ])
+      expect(cache.keys).toEqual([])
+      vm.view = 'one'
+    }).then(() => {
+      assertHookCalls(one, [2, 2, 3, 2, 1])
+      assertHookCalls(two, [2, 2, 2, 1, 2])
+    }).then(done)
+  })
+
   if (!isIE9) {
     it('with transition-mode out-in', done => {
       let next
@@ -0,0 +1,199 @@
+import Vue from 'vue'
+
+describe('Component portal', () => {
+  let target, other
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'portal-target'
+    other = document.createElement('div')
+    other.id = 'portal-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render its content into the target', done => {
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<div><portal to="#portal-target"><p>{{ msg }}</p></portal><span>end</span></div>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><!--]--><span>end</span>')
+    expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+    const p = target.querySelector('p')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<!--[--><p>bar</p><!--]-->')
+      expect(target.querySelector('p')).toBe(p)
+    }).then(done)
+  })
+
+  it('should accept a node as target', () => {
+    new Vue({
+      template: '<div><portal :to="target"><p>foo</p></portal></div>',
+      data: { target }
+    }).$mount()
+    expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+  })
+
+  it('should append to existing content of the target', () => {
+    target.innerHTML = '<b>existing</b>'
+    new Vue({
+      template: '<div><portal to="#portal-target"><p>a</p></portal><portal to="#portal-target"><p>b</p></portal></div>'
+    }).$mount()
+    expect(target.innerHTML).toBe('<b>existing</b><!--[--><p>a</p><!--]--><!--[--><p>b</p><!--]-->')
+  })
+
+  it('should update children in place', done => {
+    const vm = new Vue({
+      data: { items: ['a', 'b'] },
+      template: '<div><portal to="#portal-target"><i v-for="i in items" :key="i">{{ i }}</i></portal></div>'
+    }).$mount()
+    expect(target.textContent).toBe('ab')
+    vm.items = ['b', 'c', 'a']
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<!--[--><i>b</i><i>c</i><i>a</i><!--]-->')
+      vm.items = []
+    }).then(() => {
+      expect(target.innerHTML).toBe('<!--[--><!--]-->')
+    }).then(done)
+  })
+
+  it('should move its content when the target changes', done => {
+    const vm = new Vue({
+      data: { to: '#portal-target', msg: 'foo' },
+      template: '<div><portal :to="to"><p>{{ msg }}</p><child/></portal></div>',
+      components: {
+        child: { template: '<a>1</a><a>2</a>' }
+      }
+    }).$mount()
+    const p = target.querySelector('p')
+    expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--[--><a>1</a><a>2</a><!--]--><!--]-->')
+    vm.to = '#portal-other'
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<!--[--><p>bar</p><!--[--><a>1</a><a>2</a><!--]--><!--]-->')
+      expect(other.querySelector('p')).toBe(p)
+    }).then(done)
+  })
+
+  it('should render in place when disabled', done => {
+    const vm = new Vue({
+      data: { disabled: true },
+      template: '<div><portal to="#portal-target" :disabled="disabled"><p>foo</p></portal><span>end</span></div>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>foo</p><!--]--><span>end</span>')
+    expect(target.innerHTML).toBe('')
+    const p = vm.$el.querySelector('p')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><!--]--><span>end</span>')
+      expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+      expect(target.querySelector('p')).toBe(p)
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><p>foo</p><!--]--><span>end</span>')
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should keep its anchors in place when moved', done => {
+    const vm = new Vue({
+      data: { ids: [1, 2] },
+      template: '<div><template v-for="id in ids"><portal :key="id" to="#portal-target"><p>{{ id }}</p></portal><span :key="\'s\' + id">{{ id }}</span></template></div>'
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><!--]--><span>1</span><!--[--><!--]--><span>2</span>')
+    vm.ids = [2, 1]
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><!--]--><span>2</span><!--[--><!--]--><span>1</span>')
+      // content inside the target does not move
+      expect(target.textContent).toBe('12')
+    }).then(done)
+  })
+
+  it('should remove its content when destroyed', done => {
+    const spy = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      template: '<div><portal v-if="ok" to="#portal-target"><child/></portal></div>',
+      components: {
+        child: { template: '<p>foo</p>', destroyed: spy }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(spy).toHaveBeenCalled()
+      vm.ok = true
+    }).then(() => {
+      expect(target.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+      vm.$destroy()
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should detach its content while deactivated by keep-alive', done => {
+    const vm = new Vue({
+      data: { view: 'modal' },
+      template: '<div><keep-alive><component :is="view"/></keep-alive></div>',
+      components: {
+        modal: {
+          data: () => ({ msg: 'modal' }),
+          template: '<div><portal to="#portal-target"><p>{{ msg }}</p></portal></div>'
+        },
+        other: { template: '<span>other</span>' }
+      }
+    }).$mount()
+    const modal = vm.$children[0]
+    const p = target.querySelector('p')
+    expect(target.innerHTML).toBe('<!--[--><p>modal</p><!--]-->')
+    vm.view = 'other'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      // updates while inactive are kept
+      modal.msg = 'updated'
+    }).then(() => {
+      expect(target.innerHTML).toBe('')
+      vm.view = 'modal'
+    }).then(() => {
+      expect(target.innerHTML).toBe('<!--[--><p>updated</p><!--]-->')
+      expect(target.querySelector('p')).toBe(p)
+      expect(vm.$el.innerHTML).toBe('<div><!--[--><!--]--></div>')
+      vm.$destroy()
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should keep the logical parent of its content', () => {
+    let child
+    const vm = new Vue({
+      provide: { foo: 'bar' },
+      template: '<div><portal to="#portal-target"><child/></portal></div>',
+      components: {
+        child: {
+          inject: ['foo'],
+          template: '<p>{{ foo }}</p>',
+          created () {
+            child = this
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<!--[--><p>bar</p><!--]-->')
+    expect(child.$parent).toBe(vm)
+  })
+
+  it('should warn and render in place when the target is missing', () => {
+    const vm = new Vue({
+      template: '<div><portal to="#not-found"><p>foo</p></portal></div>'
+    }).$mount()
+    expect('Failed to locate portal target "#not-found"').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>foo</p><!--]-->')
+  })
+})
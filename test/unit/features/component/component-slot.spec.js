@@ -325,9 +325,9 @@ describe('Component slot', () => {
     expect(vm.$el.textContent).toBe('C')
   })
 
-  it('warn if user directly returns array', () => {
-    new Vue({
-      template: '<test><div></div></test>',
+  it('render as a fragment if user directly returns array', () => {
+    const vm = new Vue({
+      template: '<div><test><div></div><span></span></test></div>',
       components: {
         test: {
           render () {
@@ -336,7 +336,7 @@ describe('Component slot', () => {
         }
       }
     }).$mount()
-    expect('Render function should return a single root node').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--[--><div></div><span></span><!--]-->')
   })
 
   // #3254
@@ -0,0 +1,219 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  // wait until pending Promises and the re-renders they trigger have run
+  const flush = next => setTimeout(next, 0)
+
+  function createAsync (options) {
+    let resolve, reject
+    const factory = (res, rej) => {
+      resolve = () => res(typeof options === 'string' ? { template: options } : options)
+      reject = rej
+    }
+    return {
+      factory,
+      resolve: () => resolve(),
+      reject: err => reject(err)
+    }
+  }
+
+  it('should show the fallback until all async components are resolved', done => {
+    const a = createAsync('<i>a</i>')
+    const b = createAsync('<i>b</i>')
+    const vm = new Vue({
+      template: '<div><suspense><a-comp/><b-comp/><span slot="fallback">loading</span></suspense></div>',
+      components: { aComp: a.factory, bComp: b.factory }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    a.resolve()
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      // still waiting for b
+      expect(vm.$el.textContent).toBe('loading')
+      b.resolve()
+    }).thenWaitFor(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><!--[--><i>a</i><i>b</i><!--]--><!--]-->')
+    }).then(done)
+  })
+
+  it('should wait for async components in nested components', done => {
+    const inner = createAsync('<b>inner</b>')
+    const outer = createAsync({
+      template: '<div><inner-comp/></div>',
+      components: { innerComp: inner.factory }
+    })
+    const vm = new Vue({
+      template: '<div><suspense><outer-comp/><template slot="fallback">loading</template></suspense></div>',
+      components: { outerComp: outer.factory }
+    }).$mount()
+    outer.resolve()
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      // the resolved component contains another async component
+      expect(vm.$el.textContent).toBe('loading')
+      inner.resolve()
+    }).thenWaitFor(flush).then(() => {
+      expect(vm.$el.textContent).toBe('inner')
+    }).then(done)
+  })
+
+  it('should move the content in place without re-creating it', done => {
+    const a = createAsync('<i>a</i>')
+    let child
+    const vm = new Vue({
+      template: '<div><suspense><child/><a-comp/></suspense></div>',
+      components: {
+        aComp: a.factory,
+        child: {
+          template: '<p>child</p>',
+          created () {
+            child = this
+          }
+        }
+      }
+    }).$mount()
+    const p = child.$el
+    expect(vm.$el.contains(p)).toBe(false)
+    a.resolve()
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect(vm.$el.contains(p)).toBe(true)
+      expect(vm.$el.textContent).toBe('childa')
+    }).then(done)
+  })
+
+  it('should resolve right away without async dependencies', done => {
+    const spy = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: '<div><suspense @resolve="spy"><p>content</p><span slot="fallback">loading</span></suspense></div>',
+      methods: { spy }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('content')
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should wait for async setup()', done => {
+    let resolve
+    const vm = new Vue({
+      template: '<div><suspense><child/><template slot="fallback">loading</template></suspense></div>',
+      components: {
+        child: {
+          template: '<p>{{ msg }}</p>',
+          setup () {
+            return new Promise(r => { resolve = r })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    resolve({ msg: Vue.ref('hi') })
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect(vm.$el.textContent).toBe('hi')
+    }).then(done)
+  })
+
+  it('should wait for asyncData() and merge its result into data', done => {
+    let resolve
+    const vm = new Vue({
+      template: '<div><suspense><child/><template slot="fallback">loading</template></suspense></div>',
+      components: {
+        child: {
+          template: '<p @click="count++">{{ msg }} {{ count }}</p>',
+          data: () => ({ msg: 'default' }),
+          asyncData () {
+            return new Promise(r => { resolve = r })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    resolve({ msg: 'loaded', count: 1 })
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect(vm.$el.textContent).toBe('loaded 1')
+      // keys not declared in data are reactive too
+      triggerEvent(vm.$el.querySelector('p'), 'click')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('loaded 2')
+    }).then(done)
+  })
+
+  it('should render components with async setup() once resolved without suspense', done => {
+    let resolve
+    const vm = new Vue({
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          template: '<p>{{ msg }}</p>',
+          setup: () => new Promise(r => { resolve = r })
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    resolve({ msg: 'hi' })
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hi</p>')
+    }).then(done)
+  })
+
+  it('should surface errors to errorCaptured', done => {
+    const a = createAsync('<i>a</i>')
+    const b = createAsync('<i>b</i>')
+    const spy = jasmine.createSpy('errorCaptured')
+    const err = new Error('failed')
+    const vm = new Vue({
+      template: '<div><suspense><a-comp/><b-comp/></suspense></div>',
+      components: { aComp: a.factory, bComp: b.factory },
+      errorCaptured (e, vm, info) {
+        spy(e, info)
+        return false
+      }
+    }).$mount()
+    a.reject(err)
+    b.resolve()
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      expect(spy).toHaveBeenCalledWith(err, 'async component')
+      // the suspense still resolves with what could be rendered
+      expect(vm.$el.textContent).toBe('b')
+    }).then(done)
+  })
+
+  it('should surface errors of async setup() to errorCaptured', done => {
+    const spy = jasmine.createSpy('errorCaptured')
+    const err = new Error('setup failed')
+    const vm = new Vue({
+      template: '<div><suspense><child/><p>ok</p></suspense></div>',
+      components: {
+        child: {
+          template: '<p>{{ msg }}</p>',
+          setup: () => Promise.reject(err)
+        }
+      },
+      errorCaptured (e, vm, info) {
+        spy(e, info)
+        return false
+      }
+    }).$mount()
+    waitForUpdate().thenWaitFor(flush).then(() => {
+      expect(spy).toHaveBeenCalledWith(err, 'setup function (Promise/async)')
+      expect(vm.$el.textContent).toBe('ok')
+    }).then(done)
+  })
+
+  it('should not show the fallback again once resolved', done => {
+    const a = createAsync('<i>a</i>')
+    const vm = new Vue({
+      data: { show: false },
+      template: '<div><suspense><p>content</p><a-comp v-if="show"/><span slot="fallback">loading</span></suspense></div>',
+      components: { aComp: a.factory }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('content')
+      vm.show = true
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('content')
+      a.resolve()
+    }).thenWaitFor(flush).then(() => {
+      expect(vm.$el.textContent).toBe('contenta')
+    }).then(done)
+  })
+})
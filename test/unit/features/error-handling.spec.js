@@ -125,6 +125,108 @@ describe('Error handling', () => {
     })
   })
 
+  describe('should capture rejected promises', () => {
+    let spy, err
+
+    beforeEach(() => {
+      spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      err = new Error('async')
+    })
+
+    afterEach(() => {
+      Vue.config.errorHandler = null
+    })
+
+    it('in lifecycle hooks', done => {
+      const vm = new Vue({
+        created: () => Promise.reject(err)
+      })
+      setTimeout(() => {
+        expect(spy).toHaveBeenCalledWith(err, vm, 'created hook (Promise/async)')
+        done()
+      })
+    })
+
+    it('in v-on handlers', done => {
+      const vm = new Vue({
+        template: '<button @click="onClick"></button>',
+        methods: {
+          onClick: () => Promise.reject(err)
+        }
+      }).$mount()
+      triggerEvent(vm.$el, 'click')
+      setTimeout(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith(err, vm, 'v-on handler (Promise/async)')
+        done()
+      })
+    })
+
+    it('in component event handlers', done => {
+      const vm = new Vue({
+        template: '<child @e="onEvent"/>',
+        methods: {
+          onEvent: () => Promise.reject(err)
+        },
+        components: {
+          child: {
+            render: h => h('div'),
+            mounted () {
+              this.$emit('e')
+            }
+          }
+        }
+      }).$mount()
+      setTimeout(() => {
+        // handled once, even though the handler is called through both the
+        // v-on invoker and $emit
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith(err, vm.$children[0], 'v-on handler (Promise/async)')
+        done()
+      })
+    })
+
+    it('in $on handlers', done => {
+      const vm = new Vue()
+      vm.$on('e', () => Promise.reject(err))
+      vm.$emit('e')
+      setTimeout(() => {
+        expect(spy).toHaveBeenCalledWith(err, vm, 'event handler for "e" (Promise/async)')
+        done()
+      })
+    })
+
+    it('in watcher callbacks', done => {
+      const vm = new Vue({
+        data: { n: 0 },
+        watch: {
+          n: () => Promise.reject(err)
+        }
+      })
+      vm.n++
+      setTimeout(() => {
+        expect(spy).toHaveBeenCalledWith(err, vm, 'callback for watcher "n" (Promise/async)')
+        done()
+      })
+    })
+
+    it('in immediate watcher callbacks', done => {
+      const vm = new Vue({
+        data: { n: 0 },
+        watch: {
+          n: {
+            handler: () => Promise.reject(err),
+            immediate: true
+          }
+        }
+      })
+      setTimeout(() => {
+        expect(spy).toHaveBeenCalledWith(err, vm, 'callback for immediate watcher "n" (Promise/async)')
+        done()
+      })
+    })
+  })
+
   it('should recover from errors thrown in errorHandler itself', () => {
     Vue.config.errorHandler = () => {
       throw new Error('error in errorHandler ¯\\_(ツ)_/¯')
@@ -0,0 +1,133 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should isolate assets, mixins and prototype properties', () => {
+    const spy = jasmine.createSpy('created')
+    const App1 = Vue.createApp()
+    const App2 = Vue.createApp()
+    App1.component('foo', { template: '<span>{{ $msg }}</span>' })
+    App1.mixin({ created: spy })
+    App1.prototype.$msg = 'app1'
+
+    const vm = new App1({ template: '<div><foo/></div>' }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>app1</span>')
+    // root and child
+    expect(spy.calls.count()).toBe(2)
+
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(App2.options.components.foo).toBeUndefined()
+    expect(Vue.prototype.$msg).toBeUndefined()
+    new App2({ render: h => h('div') }).$mount()
+    new Vue({ render: h => h('div') }).$mount()
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should create components from the app', () => {
+    const App = Vue.createApp()
+    App.prototype.$foo = 'foo'
+    const vm = new App({
+      template: '<div><child/></div>',
+      components: {
+        child: { template: '<span>{{ $foo }}</span>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>foo</span>')
+    expect(vm.$children[0] instanceof App).toBe(true)
+  })
+
+  it('should inherit what is registered on Vue', () => {
+    const App = Vue.createApp()
+    expect(App.options.components.KeepAlive).toBe(Vue.options.components.KeepAlive)
+    expect(App.nextTick).toBe(Vue.nextTick)
+    expect(App.set).toBe(Vue.set)
+    expect(App.version).toBe(Vue.version)
+  })
+
+  it('should not see registrations made on Vue after createApp()', () => {
+    const App = Vue.createApp()
+    Vue.component('late-global', { template: '<span>late</span>' })
+    Vue.directive('late-global', {})
+    Vue.filter('lateGlobal', v => v)
+    Vue.prototype.$late = 'late'
+
+    expect(App.options.components['late-global']).toBeUndefined()
+    expect(App.options.directives['late-global']).toBeUndefined()
+    expect(App.options.filters.lateGlobal).toBeUndefined()
+    expect(App.prototype.$late).toBeUndefined()
+    const vm = new App({
+      template: '<div><late-global/></div>',
+      components: {
+        child: { template: '<span>{{ $late }}</span>' }
+      }
+    }).$mount()
+    expect(vm.$late).toBeUndefined()
+    expect('Unknown custom element: <late-global>').toHaveBeenWarned()
+
+    delete Vue.options.components['late-global']
+    delete Vue.options.directives['late-global']
+    delete Vue.options.filters.lateGlobal
+    delete Vue.prototype.$late
+  })
+
+  it('should have its own config', () => {
+    const App = Vue.createApp()
+    expect(App.config).not.toBe(Vue.config)
+    // falls back to the global config
+    expect(App.config.silent).toBe(Vue.config.silent)
+
+    const spy = jasmine.createSpy('errorHandler')
+    App.config.errorHandler = spy
+    App.config.keyCodes.foo = 42
+    expect(Vue.config.errorHandler).toBeNull()
+    expect(Vue.config.keyCodes.foo).toBeUndefined()
+    expect(Vue.createApp().config.keyCodes.foo).toBeUndefined()
+
+    const err = new Error('app')
+    new App({
+      render: h => h('div'),
+      created () { throw err }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Object), 'created hook')
+
+    new Vue({
+      render: h => h('div'),
+      created () { throw new Error('global') }
+    }).$mount()
+    expect(spy.calls.count()).toBe(1)
+    expect('Error in created hook').toHaveBeenWarned()
+    expect('Error: global').toHaveBeenWarned()
+  })
+
+  it('should install plugins per app', () => {
+    const plugin = {
+      install: jasmine.createSpy('install').and.callFake(App => {
+        App.directive('plugin-test', {})
+      }),
+      uninstall: jasmine.createSpy('uninstall').and.callFake(App => {
+        delete App.options.directives['plugin-test']
+      })
+    }
+    const App1 = Vue.createApp()
+    const App2 = Vue.createApp()
+    App1.use(plugin)
+    App2.use(plugin)
+    expect(plugin.install.calls.argsFor(0)[0]).toBe(App1)
+    expect(plugin.install.calls.argsFor(1)[0]).toBe(App2)
+    expect(Vue.options.directives['plugin-test']).toBeUndefined()
+
+    App1.unuse(plugin)
+    expect(plugin.uninstall).toHaveBeenCalledWith(App1)
+    expect(App1.options.directives['plugin-test']).toBeUndefined()
+    expect(App2.options.directives['plugin-test']).toBeDefined()
+  })
+
+  it('should not be affected by later global mixins', () => {
+    const options = Vue.options
+    const App = Vue.createApp()
+    const spy = jasmine.createSpy('created')
+    Vue.mixin({ created: spy })
+    new App()
+    expect(spy).not.toHaveBeenCalled()
+    Vue.options = options
+  })
+})
@@ -0,0 +1,139 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  describe('Vue.observable', () => {
+    it('should make an object reactive', done => {
+      const state = Vue.observable({ count: 0 })
+      expect(state.__ob__).toBeDefined()
+      const vm = new Vue({
+        render (h) {
+          return h('div', state.count)
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('0')
+      state.count++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1')
+      }).then(done)
+    })
+
+    it('should return the proxy in proxy mode', () => {
+      Vue.config.reactivityMode = 'proxy'
+      const raw = {}
+      const state = Vue.observable(raw)
+      Vue.config.reactivityMode = 'defineProperty'
+      expect(state).not.toBe(raw)
+      expect(state.__ob__.value).toBe(raw)
+    })
+
+    it('should warn non-object values', () => {
+      Vue.observable(1)
+      expect('Vue.observable() expects a plain object or an array').toHaveBeenWarned()
+    })
+  })
+
+  describe('Vue.computed', () => {
+    it('should be lazy and cached', () => {
+      const state = Vue.observable({ count: 1 })
+      const spy = jasmine.createSpy().and.callFake(() => state.count * 2)
+      const double = Vue.computed(spy)
+      expect(spy).not.toHaveBeenCalled()
+      expect(double.value).toBe(2)
+      expect(double.value).toBe(2)
+      expect(spy.calls.count()).toBe(1)
+      state.count++
+      expect(double.value).toBe(4)
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('should be tracked by other watchers', done => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      const vm = new Vue({
+        render (h) {
+          return h('div', double.value)
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('2')
+      state.count++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('4')
+      }).then(done)
+    })
+
+    it('get/set', () => {
+      const state = Vue.observable({ count: 1 })
+      const plusOne = Vue.computed({
+        get: () => state.count + 1,
+        set: val => { state.count = val - 1 }
+      })
+      plusOne.value = 5
+      expect(state.count).toBe(4)
+      expect(plusOne.value).toBe(5)
+    })
+
+    it('should warn assigning to a computed without setter', () => {
+      const ref = Vue.computed(() => 1)
+      ref.value = 2
+      expect('Computed value was assigned to but it has no setter.').toHaveBeenWarned()
+    })
+
+    it('stop', () => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      expect(double.value).toBe(2)
+      double.stop()
+      state.count++
+      expect(double.value).toBe(2)
+    })
+  })
+
+  describe('Vue.watchEffect', () => {
+    it('should run immediately and re-run on change', done => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy()
+      Vue.watchEffect(() => spy(state.count))
+      expect(spy).toHaveBeenCalledWith(0)
+      state.count++
+      state.count++
+      expect(spy.calls.count()).toBe(1)
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith(2)
+      }).then(done)
+    })
+
+    it('should track computed refs', done => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      const spy = jasmine.createSpy()
+      Vue.watchEffect(() => spy(double.value))
+      expect(spy).toHaveBeenCalledWith(2)
+      state.count++
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(4)
+      }).then(done)
+    })
+
+    it('stop', done => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy()
+      const stop = Vue.watchEffect(() => spy(state.count))
+      stop()
+      state.count++
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should handle errors', () => {
+      const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      const err = new Error('oops')
+      Vue.watchEffect(() => {
+        throw err
+      })
+      expect(spy).toHaveBeenCalledWith(err, null, jasmine.stringMatching('getter for watcher'))
+      Vue.config.errorHandler = null
+    })
+  })
+})
@@ -49,4 +49,33 @@ describe('Global API: use', () => {
     expect(Vue.options.directives['plugin-test']).toBeUndefined()
     expect(Ctor2.options.directives['plugin-test']).toBe(def)
   })
+  it('should uninstall plugins', () => {
+    const Ctor = Vue.extend({})
+    const plugin = {
+      install: jasmine.createSpy('install'),
+      uninstall: jasmine.createSpy('uninstall')
+    }
+    Ctor.use(plugin, options)
+    Ctor.unuse(plugin, options)
+    expect(plugin.uninstall).toHaveBeenCalledWith(Ctor, options)
+    // can be installed again
+    Ctor.use(plugin)
+    expect(plugin.install.calls.count()).toBe(2)
+  })
+
+  it('should ignore plugins that are not installed', () => {
+    const plugin = {
+      install () {},
+      uninstall: jasmine.createSpy('uninstall')
+    }
+    expect(Vue.unuse(plugin)).toBe(Vue)
+    expect(plugin.uninstall).not.toHaveBeenCalled()
+    // plugins without an uninstall hook are still removed
+    const Ctor = Vue.extend({})
+    const installer = jasmine.createSpy('install')
+    Ctor.use(installer)
+    Ctor.unuse(installer)
+    Ctor.use(installer)
+    expect(installer.calls.count()).toBe(2)
+  })
 })
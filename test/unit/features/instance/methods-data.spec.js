@@ -39,18 +39,18 @@ describe('Instance methods data', () => {
       vm.a.b = 2
       waitForUpdate(() => {
         expect(spy.calls.count()).toBe(1)
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
         expect(spy.calls.count()).toBe(2)
-        expect(spy).toHaveBeenCalledWith(3, 2)
+        expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
       }).then(done)
     })
 
     it('immediate', () => {
       vm.$watch('a.b', spy, { immediate: true })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('unwatch', done => {
@@ -68,7 +68,7 @@ describe('Instance methods data', () => {
       }, spy)
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
       }).then(done)
     })
 
@@ -77,10 +77,10 @@ describe('Instance methods data', () => {
       vm.$watch('a', spy, { deep: true })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -92,10 +92,10 @@ describe('Instance methods data', () => {
       })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -105,12 +105,143 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    it('multiple sources', done => {
+      vm.$set(vm.a, 'c', 1)
+      vm.$watch(['a.b', function () { return this.a.c }], spy)
+      vm.a.b = 2
+      vm.a.c = 3
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([2, 3], [1, 1], jasmine.any(Function))
+        vm.a.c = 4
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith([2, 4], [2, 3], jasmine.any(Function))
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch(['a.b', 'a'], spy, { immediate: true })
+      expect(spy).toHaveBeenCalledWith([1, vm.a], undefined, jasmine.any(Function))
+    })
+
+    it('warn invalid path in multiple sources', () => {
+      vm.$watch(['a.b', 'a + b'], spy)
+      expect('Failed watching path: "a + b"').toHaveBeenWarned()
+    })
+
+    it('onCleanup', done => {
+      const cleanups = []
+      const unwatch = vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(() => cleanups.push(val))
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(cleanups).toEqual([])
+        vm.a.b = 3
+      }).then(() => {
+        // the cleanup of the previous invocation runs before the next one
+        expect(cleanups).toEqual([2])
+        unwatch()
+        expect(cleanups).toEqual([2, 3])
+        unwatch()
+        expect(cleanups).toEqual([2, 3])
+      }).then(done)
+    })
+
+    it('onCleanup with immediate and $destroy', () => {
+      const cleanup = jasmine.createSpy('cleanup')
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(cleanup)
+      }, { immediate: true })
+      expect(cleanup).not.toHaveBeenCalled()
+      vm.$destroy()
+      expect(cleanup).toHaveBeenCalled()
+    })
+
+    it('onCleanup errors', done => {
+      const err = new Error('cleanup')
+      const errorHandler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(() => { throw err })
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        vm.a.b = 3
+      }).then(() => {
+        expect(errorHandler).toHaveBeenCalledWith(err, vm, 'cleanup for watcher "a.b"')
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
+
+    describe('flush', () => {
+      let vm, dom
+      beforeEach(() => {
+        vm = new Vue({
+          template: '<div>{{ msg }}</div>',
+          data: { msg: 'foo' }
+        }).$mount()
+        dom = jasmine.createSpy('dom')
+      })
+
+      it('pre', done => {
+        vm.$watch('msg', () => dom(vm.$el.textContent), { flush: 'pre' })
+        vm.msg = 'bar'
+        waitForUpdate(() => {
+          expect(dom).toHaveBeenCalledWith('foo')
+        }).then(done)
+      })
+
+      it('post', done => {
+        const Child = {
+          props: ['msg'],
+          template: '<span>{{ msg }}</span>',
+          watch: {
+            msg: {
+              handler () {
+                dom(this.$parent.$el.textContent)
+              },
+              flush: 'post'
+            }
+          }
+        }
+        vm = new Vue({
+          template: '<div>{{ msg }}<child :msg="msg"></child></div>',
+          data: { msg: 'foo' },
+          components: { Child }
+        }).$mount()
+        vm.msg = 'bar'
+        waitForUpdate(() => {
+          expect(dom).toHaveBeenCalledWith('barbar')
+        }).then(done)
+      })
+
+      it('sync', () => {
+        vm.$watch('msg', () => dom(vm.$el.textContent), { flush: 'sync' })
+        vm.msg = 'bar'
+        expect(dom).toHaveBeenCalledWith('foo')
+      })
+
+      it('default should keep creation order', done => {
+        vm.$watch('msg', () => dom(vm.$el.textContent))
+        vm.msg = 'bar'
+        waitForUpdate(() => {
+          expect(dom).toHaveBeenCalledWith('bar')
+        }).then(done)
+      })
+
+      it('warn invalid value', () => {
+        vm.$watch('msg', () => {}, { flush: 'later' })
+        expect('Invalid value for option "flush"').toHaveBeenWarned()
+      })
+    })
   })
 })
@@ -79,4 +79,71 @@ describe('Instance methods events', () => {
     expect(spy2.calls.count()).toBe(1)
     expect(spy2).toHaveBeenCalledWith(1, 2, 3)
   })
+
+  describe('wildcard events', () => {
+    it('$on with namespace pattern', () => {
+      vm.$on('cart:*', spy)
+      vm.$emit('cart:item-added', 1, 2)
+      expect(spy).toHaveBeenCalledWith('cart:item-added', 1, 2)
+      vm.$emit('cart:item-removed', 3)
+      expect(spy).toHaveBeenCalledWith('cart:item-removed', 3)
+      vm.$emit('user:login')
+      vm.$emit('cart')
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('$on with catch-all pattern', () => {
+      const exact = jasmine.createSpy('exact')
+      vm.$on('*', spy)
+      vm.$on('test', exact)
+      vm.$emit('test', 1)
+      vm.$emit('cart:item-added', 2)
+      expect(exact).toHaveBeenCalledWith(1)
+      expect(spy.calls.allArgs()).toEqual([['test', 1], ['cart:item-added', 2]])
+    })
+
+    it('should escape special characters', () => {
+      vm.$on('a.b:*', spy)
+      vm.$emit('aXb:c')
+      expect(spy).not.toHaveBeenCalled()
+      vm.$emit('a.b:c')
+      expect(spy).toHaveBeenCalledWith('a.b:c')
+    })
+
+    it('$once with pattern', () => {
+      vm.$once('cart:*', spy)
+      vm.$emit('cart:item-added', 1)
+      vm.$emit('cart:item-added', 2)
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith('cart:item-added', 1)
+    })
+
+    it('$off with pattern', () => {
+      const spy2 = jasmine.createSpy('emitter')
+      vm.$on('cart:item-added', spy)
+      vm.$on('cart:*', spy)
+      vm.$on('cart:item-removed', spy2)
+      vm.$on('user:login', spy)
+      vm.$off('cart:*', spy)
+      vm.$emit('cart:item-added')
+      vm.$emit('cart:item-removed')
+      expect(spy).not.toHaveBeenCalled()
+      expect(spy2.calls.count()).toBe(1)
+      vm.$off('cart:*')
+      vm.$emit('cart:item-removed')
+      expect(spy2.calls.count()).toBe(1)
+      vm.$emit('user:login')
+      expect(spy.calls.count()).toBe(1)
+      vm.$off('*')
+      vm.$emit('user:login')
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('$off with pattern should remove $once listeners', () => {
+      vm.$once('cart:item-added', spy)
+      vm.$off('cart:*', spy)
+      vm.$emit('cart:item-added')
+      expect(spy).not.toHaveBeenCalled()
+    })
+  })
 })
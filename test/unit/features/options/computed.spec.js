@@ -103,7 +103,7 @@ describe('Options computed', () => {
     vm.$watch('b', spy)
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
     }).then(done)
   })
 
@@ -150,6 +150,91 @@ describe('Options computed', () => {
     expect(spy.calls.count()).toBe(2)
   })
 
+  it('cache: false should still update dependents', done => {
+    let now = 1
+    const vm = new Vue({
+      template: '<div>{{ b }}</div>',
+      computed: {
+        b: {
+          cache: false,
+          get: () => now
+        }
+      }
+    }).$mount()
+    expect(vm.b).toBe(1)
+    now = 2
+    expect(vm.b).toBe(2)
+    expect(vm.$el.textContent).toBe('1')
+    vm.$invalidate('b')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2')
+    }).then(done)
+  })
+
+  it('equals', done => {
+    const spy = jasmine.createSpy('watch')
+    const vm = new Vue({
+      data: {
+        a: 1
+      },
+      computed: {
+        b: {
+          get () {
+            return { parity: this.a % 2 }
+          },
+          equals: (a, b) => a.parity === b.parity
+        }
+      }
+    })
+    const first = vm.b
+    vm.$watch(() => vm.b.parity, spy)
+    vm.a = 3
+    waitForUpdate(() => {
+      // equal values keep the previous result
+      expect(vm.b).toBe(first)
+      expect(spy).not.toHaveBeenCalled()
+      vm.a = 4
+    }).then(() => {
+      expect(vm.b).not.toBe(first)
+      expect(vm.b.parity).toBe(0)
+      expect(spy).toHaveBeenCalledWith(0, 1, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('$invalidate', done => {
+    const spy = jasmine.createSpy('computed')
+    const store = { value: 'foo' }
+    const vm = new Vue({
+      template: '<div>{{ b }}</div>',
+      computed: {
+        b () {
+          spy()
+          return store.value
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo')
+    store.value = 'bar'
+    // non-reactive sources are not tracked
+    expect(vm.b).toBe('foo')
+    expect(spy.calls.count()).toBe(1)
+    vm.$invalidate('b')
+    expect(vm.b).toBe('bar')
+    expect(spy.calls.count()).toBe(2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('$invalidate should warn unknown computed properties', () => {
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$invalidate('a')
+    expect('Cannot invalidate "a": it is not a computed property.').toHaveBeenWarned()
+  })
+
   it('as component', done => {
     const Comp = Vue.extend({
       template: `<div>{{ b }} {{ c }}</div>`,
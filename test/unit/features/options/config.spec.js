@@ -0,0 +1,86 @@
+import Vue from 'vue'
+
+describe('Options config', () => {
+  const child = {
+    render () {
+      throw new Error('render')
+    }
+  }
+
+  it('should use the errorHandler of the root', () => {
+    const globalSpy = Vue.config.errorHandler = jasmine.createSpy('global')
+    const spy = jasmine.createSpy('root')
+    const vm = new Vue({
+      config: { errorHandler: spy },
+      render: h => h('div', [h(child)])
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(jasmine.any(Error), vm.$children[0], 'render')
+    expect(globalSpy).not.toHaveBeenCalled()
+
+    // other roots fall back to the global config
+    new Vue({
+      render: h => h('div', [h(child)])
+    }).$mount()
+    expect(globalSpy).toHaveBeenCalled()
+    Vue.config.errorHandler = null
+  })
+
+  it('should use the warnHandler of the root', () => {
+    const spy = jasmine.createSpy('warn')
+    const vm = new Vue({
+      config: { warnHandler: spy },
+      template: '<div><child/></div>',
+      components: {
+        child: { template: '<div>{{ foo }}</div>' }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(
+      jasmine.stringMatching('Property or method "foo" is not defined'),
+      vm.$children[0],
+      jasmine.any(String)
+    )
+    expect('Property or method "foo" is not defined').not.toHaveBeenWarned()
+  })
+
+  it('should use the keyCodes of the root', () => {
+    const spy = jasmine.createSpy('keyup')
+    Vue.config.keyCodes.bar = 2
+    const vm = new Vue({
+      config: { keyCodes: { foo: [1, 3] }},
+      template: '<div><child/></div>',
+      components: {
+        child: {
+          template: '<input @keyup.foo="onKeyup" @keyup.bar="onKeyup">',
+          methods: { onKeyup: spy }
+        }
+      }
+    }).$mount()
+    ;[1, 2, 3, 4].forEach(keyCode => {
+      triggerEvent(vm.$el.firstChild, 'keyup', e => {
+        e.keyCode = keyCode
+      })
+    })
+    expect(spy.calls.count()).toBe(3)
+    Vue.config.keyCodes = Object.create(null)
+  })
+
+  it('should use the ignoredElements of the root', () => {
+    new Vue({
+      config: { ignoredElements: ['foo', /^bar-/] },
+      template: '<div><child/></div>',
+      components: {
+        child: { template: '<div><foo></foo><bar-baz></bar-baz><qux></qux></div>' }
+      }
+    }).$mount()
+    expect('Unknown custom element: <foo>').not.toHaveBeenWarned()
+    expect('Unknown custom element: <bar-baz>').not.toHaveBeenWarned()
+    expect('Unknown custom element: <qux>').toHaveBeenWarned()
+  })
+
+  it('should warn when not used on root instances', () => {
+    Vue.extend({
+      config: {}
+    })
+    expect('option "config" can only be used during instance creation').toHaveBeenWarned()
+  })
+})
@@ -15,6 +15,27 @@ describe('Options data', () => {
     }).then(done)
   })
 
+  it('should be reactive for Map and Set values', done => {
+    const vm = new Vue({
+      data: {
+        users: new Map([[1, { name: 'foo' }]]),
+        selected: new Set()
+      },
+      template: '<div>{{ users.get(1).name }} {{ selected.size }}</div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo 0')
+    vm.selected.add(1)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo 1')
+      vm.users.get(1).name = 'bar'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bar 1')
+      vm.users.set(1, { name: 'baz' })
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('baz 1')
+    }).then(done)
+  })
+
   it('should merge data properly', () => {
     const Test = Vue.extend({
       data () {
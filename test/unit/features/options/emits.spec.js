@@ -0,0 +1,182 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should normalize array syntax', () => {
+    const Comp = Vue.extend({
+      emits: ['foo', 'bar']
+    })
+    expect(Comp.options.emits).toEqual({ foo: null, bar: null })
+  })
+
+  it('should merge with mixins', () => {
+    const Comp = Vue.extend({
+      mixins: [{ emits: ['foo'] }],
+      emits: { bar: null }
+    })
+    expect(Object.keys(Comp.options.emits).sort()).toEqual(['bar', 'foo'])
+  })
+
+  it('should warn invalid emits', () => {
+    new Vue({ emits: 'foo' })
+    expect('Invalid value for option "emits": expected an Array or an Object, but got String.').toHaveBeenWarned()
+    new Vue({ emits: { foo: true }})
+    expect('Invalid validator for event "foo" in option "emits"').toHaveBeenWarned()
+  })
+
+  it('should warn undeclared events', () => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({ emits: ['foo'] })
+    vm.$on('bar', spy)
+    vm.$emit('foo')
+    expect('Component emitted event "foo"').not.toHaveBeenWarned()
+    vm.$emit('bar', 1)
+    expect('Component emitted event "bar" but it is not declared in the emits option.').toHaveBeenWarned()
+    expect(spy).toHaveBeenCalledWith(1)
+    // lifecycle hook events are always allowed
+    vm.$emit('hook:mounted')
+    expect('Component emitted event "hook:mounted"').not.toHaveBeenWarned()
+  })
+
+  it('should not warn without the emits option', () => {
+    const vm = new Vue()
+    vm.$emit('foo')
+    expect('Component emitted event "foo"').not.toHaveBeenWarned()
+  })
+
+  it('should validate the payload', () => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      emits: {
+        change: (value, extra) => typeof value === 'number' && extra === undefined
+      }
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    expect('Invalid event arguments').not.toHaveBeenWarned()
+    vm.$emit('change', 'a')
+    expect('Invalid event arguments: event validation failed for event "change".').toHaveBeenWarned()
+    // handlers are still called
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should pass undeclared listeners to the root element', () => {
+    const onChange = jasmine.createSpy('change')
+    const onClick = jasmine.createSpy('click')
+    const onNativeClick = jasmine.createSpy('native click')
+    const vm = new Vue({
+      template: `<child @change="onChange" @click="onClick" @click.native="onNativeClick"/>`,
+      methods: { onChange, onClick, onNativeClick },
+      components: {
+        child: {
+          emits: ['change'],
+          template: '<button @click="$emit(\'change\', 1)"></button>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['change'])
+    triggerEvent(vm.$el, 'click')
+    expect(onChange).toHaveBeenCalledWith(1)
+    expect(onClick).toHaveBeenCalled()
+    expect(onNativeClick).toHaveBeenCalled()
+  })
+
+  it('should respect modifiers of passed listeners', () => {
+    const onClick = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: `<child @click.once="onClick"/>`,
+      methods: { onClick },
+      components: {
+        child: {
+          emits: [],
+          template: '<button></button>'
+        }
+      }
+    }).$mount()
+    triggerEvent(vm.$el, 'click')
+    triggerEvent(vm.$el, 'click')
+    expect(onClick.calls.count()).toBe(1)
+  })
+
+  it('should not pass listeners with inheritAttrs: false', () => {
+    const onClick = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: `<child @click="onClick"/>`,
+      methods: { onClick },
+      components: {
+        child: {
+          emits: [],
+          inheritAttrs: false,
+          template: '<button></button>'
+        }
+      }
+    }).$mount()
+    expect(Object.keys(vm.$children[0].$listeners)).toEqual(['click'])
+    triggerEvent(vm.$el, 'click')
+    expect(onClick).not.toHaveBeenCalled()
+  })
+
+  it('should keep v-model and hook listeners on the component', done => {
+    const onMounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      data: { v: 1 },
+      template: `<child v-model="v" @hook:mounted="onMounted"/>`,
+      methods: { onMounted },
+      components: {
+        child: {
+          emits: ['foo'],
+          model: { event: 'change' },
+          props: ['value'],
+          template: '<button>{{ value }}</button>'
+        }
+      }
+    }).$mount()
+    expect(onMounted).toHaveBeenCalled()
+    vm.$children[0].$emit('change', 5)
+    expect(vm.v).toBe(5)
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('5')
+    }).then(done)
+  })
+
+  it('should validate the payload of the v-model event', () => {
+    const vm = new Vue({
+      data: { v: 1 },
+      template: `<child v-model="v"/>`,
+      components: {
+        child: {
+          emits: { input: v => typeof v === 'number' },
+          props: ['value'],
+          template: '<span></span>'
+        }
+      }
+    }).$mount()
+    vm.$children[0].$emit('input', 'not a number')
+    expect('event validation failed for event "input"').toHaveBeenWarned()
+  })
+
+  it('should update passed listeners', done => {
+    const spy1 = jasmine.createSpy('1')
+    const spy2 = jasmine.createSpy('2')
+    const vm = new Vue({
+      data: { ok: true },
+      template: `<child @click="ok ? a() : b()"/>`,
+      methods: { a: spy1, b: spy2 },
+      components: {
+        child: {
+          emits: [],
+          template: '<button></button>'
+        }
+      }
+    }).$mount()
+    triggerEvent(vm.$el, 'click')
+    expect(spy1.calls.count()).toBe(1)
+    vm.ok = false
+    waitForUpdate(() => {
+      triggerEvent(vm.$el, 'click')
+      expect(spy1.calls.count()).toBe(1)
+      expect(spy2.calls.count()).toBe(1)
+    }).then(done)
+  })
+})
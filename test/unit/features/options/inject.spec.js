@@ -635,4 +635,185 @@ describe('Options provide/inject', () => {
 
     expect(injected).toEqual('foo')
   })
+
+  it('readonly injections', () => {
+    const state = { user: { name: 'foo' }}
+    const child = {
+      inject: {
+        state: { from: 'state', readonly: true }
+      },
+      render () {},
+      created () {
+        injected = this.state
+      }
+    }
+    new Vue({
+      provide: { state },
+      render (h) {
+        return h(child)
+      }
+    }).$mount()
+
+    injected.user.name = 'bar'
+    expect('Set operation on key "name" failed: target is readonly.').toHaveBeenWarned()
+    expect(state.user.name).toBe('foo')
+  })
+
+  describe('reactive injections', () => {
+    function createApp (child, extra) {
+      return new Vue(Object.assign({
+        data: { theme: 'light' },
+        provide () {
+          return { theme: this.theme }
+        },
+        render (h) {
+          return h('div', [h(child)])
+        }
+      }, extra)).$mount()
+    }
+
+    it('should track the provider state', done => {
+      const vm = createApp({
+        inject: {
+          theme: { from: 'theme', reactive: true }
+        },
+        render (h) {
+          return h('span', this.theme)
+        }
+      })
+      expect(vm.$el.textContent).toBe('light')
+      vm.theme = 'dark'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('dark')
+      }).then(done)
+    })
+
+    it('should not track without the reactive flag', done => {
+      const vm = createApp({
+        inject: ['theme'],
+        render (h) {
+          return h('span', this.theme)
+        }
+      })
+      vm.theme = 'dark'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('light')
+      }).then(done)
+    })
+
+    it('should work with computed properties and watchers of the consumer', done => {
+      const spy = jasmine.createSpy('watcher')
+      const vm = createApp({
+        inject: {
+          color: { from: 'theme', reactive: true }
+        },
+        computed: {
+          upper () {
+            return this.color.toUpperCase()
+          }
+        },
+        watch: {
+          color: spy
+        },
+        render (h) {
+          return h('span', this.upper)
+        }
+      })
+      expect(vm.$el.textContent).toBe('LIGHT')
+      vm.theme = 'dark'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('DARK')
+        expect(spy).toHaveBeenCalledWith('dark', 'light', jasmine.any(Function))
+      }).then(done)
+    })
+
+    it('should share the provide() evaluation between consumers', done => {
+      const provide = jasmine.createSpy('provide').and.callFake(function () {
+        return { theme: this.theme }
+      })
+      const child = {
+        inject: {
+          theme: { from: 'theme', reactive: true }
+        },
+        render (h) {
+          return h('span', this.theme)
+        }
+      }
+      const vm = new Vue({
+        data: { theme: 'light' },
+        provide,
+        render (h) {
+          return h('div', [h(child), h(child)])
+        }
+      }).$mount()
+      // the result from the creation of the provider is reused
+      expect(provide.calls.count()).toBe(1)
+      vm.theme = 'dark'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('darkdark')
+        expect(provide.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('should provide the same values to reactive and non-reactive consumers', () => {
+      const provide = jasmine.createSpy('provide').and.callFake(() => ({ store: new Map() }))
+      const stores = []
+      const child = reactive => ({
+        inject: {
+          store: { from: 'store', reactive }
+        },
+        created () {
+          stores.push(this.store)
+        },
+        render (h) {
+          return h('span', String(this.store.size))
+        }
+      })
+      new Vue({
+        provide,
+        render (h) {
+          return h('div', [h(child(true)), h(child(false))])
+        }
+      }).$mount()
+      expect(provide.calls.count()).toBe(1)
+      expect(stores[0]).toBe(stores[1])
+    })
+
+    it('should warn mutating', () => {
+      let child
+      createApp({
+        inject: {
+          theme: { from: 'theme', reactive: true }
+        },
+        created () {
+          child = this
+        },
+        render () {}
+      })
+      child.theme = 'dark'
+      expect('Avoid mutating an injected value directly').toHaveBeenWarned()
+      expect(child.theme).toBe('light')
+    })
+
+    it('should resolve object provides and defaults', () => {
+      let child
+      new Vue({
+        provide: { theme: 'light' },
+        render (h) {
+          return h({
+            inject: {
+              theme: { from: 'theme', reactive: true },
+              size: { from: 'size', reactive: true, default: 'small' }
+            },
+            created () {
+              child = this
+            },
+            render () {}
+          })
+        }
+      }).$mount()
+      expect(child.theme).toBe('light')
+      expect(child.size).toBe('small')
+    })
+  })
 })
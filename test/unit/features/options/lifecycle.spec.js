@@ -222,6 +222,67 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked/renderTriggered', () => {
+    it('should report dependencies of the render watcher', done => {
+      const tracked = jasmine.createSpy('renderTracked')
+      const triggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1] },
+        template: '<div>{{ msg }}{{ list.length }}</div>',
+        renderTracked: tracked,
+        renderTriggered: triggered
+      }).$mount()
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm._data,
+        type: 'get',
+        key: 'msg'
+      }))
+      expect(tracked.calls.all().filter(c => c.args[0].key === 'msg').length).toBe(1)
+      vm.msg = 'bar'
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: vm._watcher,
+        target: vm._data,
+        type: 'set',
+        key: 'msg',
+        newValue: 'bar',
+        oldValue: 'foo'
+      }))
+      vm.list.push(2)
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.list,
+        type: 'array mutation',
+        key: 'push'
+      }))
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar2')
+      }).then(done)
+    })
+
+    it('should report added and deleted keys', () => {
+      const triggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { obj: {}},
+        render (h) {
+          return h('div', Object.keys(this.obj).join())
+        },
+        renderTriggered: triggered
+      }).$mount()
+      vm.$set(vm.obj, 'a', 1)
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.obj,
+        type: 'add',
+        key: 'a',
+        newValue: 1
+      }))
+      vm.$delete(vm.obj, 'a')
+      expect(triggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.obj,
+        type: 'delete',
+        key: 'a'
+      }))
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
@@ -109,4 +109,72 @@ describe('Options mixins', () => {
     expect(vm.b).toBeDefined()
     expect(vm.$options.directives.c).toBeDefined()
   })
+  describe('conflicts', () => {
+    it('should warn mixins defining the same key', () => {
+      const vm = new Vue({
+        name: 'foo',
+        mixins: [
+          { methods: { a () { return 1 } }},
+          { name: 'bar', methods: { a () { return 2 } }}
+        ]
+      })
+      expect(vm.a()).toBe(2)
+      expect(
+        'The method "a" is defined by both mixin #1 of <Foo> and ' +
+        'mixin #2 of <Foo> <Bar>; the definition from mixin #2 of <Foo> <Bar> is used.'
+      ).toHaveBeenWarned()
+    })
+
+    it('should check props, injections and computed properties', () => {
+      Vue.extend({
+        mixins: [
+          { props: ['fooBar'], inject: ['baz'], computed: { qux () {} }},
+          { props: ['foo-bar'], inject: { baz: 'baz' }, computed: { qux () {} }}
+        ]
+      })
+      expect('The prop "fooBar" is defined by both mixin #1 of <Anonymous> and mixin #2 of <Anonymous>').toHaveBeenWarned()
+      expect('The injection "baz" is defined by both').toHaveBeenWarned()
+      expect('The computed property "qux" is defined by both').toHaveBeenWarned()
+    })
+
+    it('should report nested mixins and mixins of the base constructor', () => {
+      const Base = Vue.extend({ name: 'base' })
+      Base.mixin({ methods: { a () {} }})
+      Base.mixin({ methods: { a () {} }})
+      expect('The method "a" is defined by both mixin of <Base> and mixin of <Base>').toHaveBeenWarned()
+      const Comp = Base.extend({
+        name: 'comp',
+        mixins: [{ mixins: [{ methods: { a () {} }}] }]
+      })
+      expect(
+        'The method "a" is defined by both mixin of <Base> and mixin #1 of mixin #1 of <Comp>'
+      ).toHaveBeenWarned()
+      // the report is only made once, when the mixins are merged
+      new Comp()
+      expect('The method "a"').toHaveBeenWarned()
+    })
+
+    it('should not warn when the component overrides the key', () => {
+      const vm = new Vue({
+        mixins: [
+          { methods: { a () { return 1 } }},
+          { mixins: [{ methods: { b () {} }}], methods: { b () {} }}
+        ],
+        extends: { methods: { a () { return 0 } }},
+        methods: { a () { return 2 } }
+      })
+      expect(vm.a()).toBe(2)
+      expect('is defined by both').not.toHaveBeenWarned()
+    })
+
+    it('should throw with config.strictMixinConflicts', () => {
+      Vue.config.strictMixinConflicts = true
+      expect(() => {
+        Vue.extend({
+          mixins: [{ methods: { a () {} }}, { methods: { a () {} }}]
+        })
+      }).toThrowError(/The method "a" is defined by both/)
+      Vue.config.strictMixinConflicts = false
+    })
+  })
 })
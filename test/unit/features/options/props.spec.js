@@ -503,6 +503,172 @@ describe('Options props', () => {
     }).then(done)
   })
 
+  it('readonly props', done => {
+    const vm = new Vue({
+      data: { user: { address: { city: 'foo' }}},
+      template: '<test :user="user" ref="child"></test>',
+      components: {
+        test: {
+          props: { user: { type: Object, readonly: true }},
+          template: '<div>{{ user.address.city }}</div>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.child
+    child.user.address.city = 'bar'
+    expect('Set operation on key "city" failed: target is readonly.').toHaveBeenWarned()
+    expect(vm.user.address.city).toBe('foo')
+    // changes made by the parent should still reach the child
+    vm.user.address.city = 'baz'
+    waitForUpdate(() => {
+      expect(child.$el.textContent).toBe('baz')
+      vm.user = { address: { city: 'qux' }}
+    }).then(() => {
+      expect(child.$el.textContent).toBe('qux')
+      child.user.address.city = 'bar'
+      expect(vm.user.address.city).toBe('qux')
+    }).then(done)
+  })
+
+  describe('validator messages and schemas', () => {
+    function makeInstance (value, prop) {
+      return new Vue({
+        template: '<test :test="val"></test>',
+        data: {
+          val: value
+        },
+        components: {
+          test: {
+            template: '<div></div>',
+            props: {
+              test: prop
+            }
+          }
+        }
+      }).$mount()
+    }
+
+    it('validator message', () => {
+      makeInstance(-1, {
+        validator: v => v >= 0 || 'must not be negative'
+      })
+      expect('Invalid prop: custom validator check failed for prop "test": must not be negative').toHaveBeenWarned()
+    })
+
+    it('async validator', done => {
+      makeInstance(1, {
+        validator: v => Promise.resolve(v === 1)
+      })
+      makeInstance(2, {
+        validator: v => Promise.resolve(v === 1 || 'must be 1')
+      })
+      expect(console.error.calls.count()).toBe(0)
+      waitForUpdate(() => {
+        expect(console.error.calls.count()).toBe(1)
+        expect('custom validator check failed for prop "test": must be 1').toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('oneOf', () => {
+      makeInstance('a', { oneOf: ['a', 'b'] })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance('c', { oneOf: ['a', 'b', 1] })
+      expect('Invalid prop: expected prop "test" to be one of "a", "b", 1, got "c".').toHaveBeenWarned()
+    })
+
+    it('instanceOf', () => {
+      class Foo {}
+      makeInstance(new Foo(), { instanceOf: Foo })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({}, { instanceOf: Foo })
+      expect('type check failed for prop "test". Expected Foo, got Object.').toHaveBeenWarned()
+    })
+
+    it('arrayOf', () => {
+      makeInstance([1, 2], { arrayOf: Number })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({}, { arrayOf: Number })
+      expect('type check failed for prop "test". Expected Array, got Object.').toHaveBeenWarned()
+      makeInstance([1, '2'], { arrayOf: [Number, Boolean] })
+      expect('type check failed for prop "test[1]". Expected Number, Boolean, got String.').toHaveBeenWarned()
+    })
+
+    it('objectOf', () => {
+      makeInstance({ a: 'a' }, { objectOf: String })
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({ a: 'a', b: 1 }, { objectOf: { type: String }})
+      expect('type check failed for prop "test.b". Expected String, got Number.').toHaveBeenWarned()
+    })
+
+    it('shape', () => {
+      const prop = {
+        shape: {
+          id: { type: Number, required: true },
+          name: String
+        }
+      }
+      makeInstance({ id: 1, extra: true }, prop)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance({ name: 'foo' }, prop)
+      expect('Missing required prop: "test.id"').toHaveBeenWarned()
+      makeInstance({ id: 1, name: 1 }, prop)
+      expect('type check failed for prop "test.name". Expected String, got Number.').toHaveBeenWarned()
+    })
+
+    it('nested schemas', () => {
+      const prop = {
+        type: Array,
+        arrayOf: {
+          shape: {
+            tags: {
+              objectOf: { oneOf: ['a', 'b'] }
+            },
+            count: {
+              validator: v => v > 0 || 'must be positive'
+            }
+          }
+        }
+      }
+      makeInstance([{ tags: { x: 'a' }, count: 1 }], prop)
+      expect(console.error.calls.count()).toBe(0)
+      makeInstance([{ tags: {}}, { tags: { x: 'a', y: 'c' }}], prop)
+      expect('expected prop "test[1].tags.y" to be one of "a", "b", got "c".').toHaveBeenWarned()
+      makeInstance([{ count: 0 }], prop)
+      expect('custom validator check failed for prop "test[0].count": must be positive').toHaveBeenWarned()
+    })
+  })
+
+  it('coerce', done => {
+    const vm = new Vue({
+      data: { val: '1' },
+      template: '<test :count="val" ref="child"></test>',
+      components: {
+        test: {
+          props: {
+            count: {
+              type: Number,
+              coerce: Number
+            },
+            items: {
+              type: Array,
+              default: () => [1],
+              coerce: items => items.map(String)
+            }
+          },
+          template: '<div>{{ count + 1 }}</div>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('2')
+    // default values are not coerced
+    expect(vm.$refs.child.items).toEqual([1])
+    expect('Invalid prop').not.toHaveBeenWarned()
+    vm.val = '2'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('3')
+    }).then(done)
+  })
+
   it('warn reserved props', () => {
     const specialAttrs = ['key', 'ref', 'slot', 'is', 'slot-scope']
     new Vue({
@@ -0,0 +1,260 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }} {{ double }} {{ msg }}</div>',
+      setup () {
+        const count = Vue.ref(1)
+        const double = Vue.computed(() => count.value * 2)
+        const inc = () => { count.value++ }
+        return { count, double, inc, msg: 'hi' }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1 2 hi')
+    triggerEvent(vm.$el, 'click')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 4 hi')
+    }).then(done)
+  })
+
+  it('should unwrap refs on the instance', done => {
+    let count
+    const vm = new Vue({
+      template: '<div>{{ count }}</div>',
+      setup () {
+        count = Vue.ref(0)
+        return { count }
+      }
+    }).$mount()
+    expect(vm.count).toBe(0)
+    vm.count = 1
+    expect(count.value).toBe(1)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should be accessible from other options', () => {
+    const vm = new Vue({
+      setup () {
+        return { count: Vue.ref(1) }
+      },
+      data () {
+        return { n: this.count + 1 }
+      },
+      computed: {
+        double () {
+          return this.count * 2
+        }
+      },
+      methods: {
+        get () {
+          return this.count
+        }
+      }
+    })
+    expect(vm.n).toBe(2)
+    expect(vm.double).toBe(2)
+    expect(vm.get()).toBe(1)
+  })
+
+  it('should receive props and context', done => {
+    const spy = jasmine.createSpy('change')
+    let props, context
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<child :msg="msg" id="bar" @change="onChange"/>',
+      methods: { onChange: spy },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<div>{{ upper }}</div>',
+          setup (p, ctx) {
+            props = p
+            context = ctx
+            return {
+              upper: Vue.computed(() => p.msg.toUpperCase())
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('FOO')
+    expect(context.attrs).toEqual({ id: 'bar' })
+    expect(Object.keys(context.listeners)).toEqual(['change'])
+    context.emit('change', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(props.msg).toBe('bar')
+      expect(vm.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('should use a returned render function', done => {
+    const vm = new Vue({
+      setup () {
+        const count = Vue.ref(0)
+        Vue.onMounted(() => { count.value++ })
+        return h => h('div', count.value)
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { ok: true },
+      template: '<div><child v-if="ok"/></div>',
+      components: {
+        child: {
+          template: '<div></div>',
+          mounted () {
+            calls.push('mounted option')
+          },
+          setup () {
+            Vue.onBeforeMount(() => calls.push('beforeMount'))
+            Vue.onMounted(() => calls.push('mounted'))
+            Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+            Vue.onUnmounted(() => calls.push('unmounted'))
+          }
+        }
+      }
+    }).$mount()
+    expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUnmount', 'unmounted'])
+    }).then(done)
+  })
+
+  it('should not leak lifecycle hooks to other instances', () => {
+    const spy = jasmine.createSpy('mounted')
+    let first = true
+    const Comp = Vue.extend({
+      render: h => h('div'),
+      setup () {
+        if (first) {
+          first = false
+          Vue.onMounted(spy)
+        }
+      }
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy.calls.count()).toBe(1)
+    expect(Comp.options.mounted).toBeUndefined()
+  })
+
+  it('should warn lifecycle registration outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('onMounted is called when there is no active component instance').toHaveBeenWarned()
+  })
+
+  it('should stop computed and watchers on destroy', done => {
+    const state = Vue.observable({ count: 0 })
+    const spy = jasmine.createSpy('watch')
+    const vm = new Vue({
+      setup () {
+        Vue.watch(() => state.count, spy)
+        return {
+          double: Vue.computed(() => state.count * 2)
+        }
+      }
+    })
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(vm.double).toBe(2)
+      vm.$destroy()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      // stopped computed keep returning the last value
+      expect(vm.double).toBe(2)
+    }).then(done)
+  })
+
+  it('should watch refs, reactive objects and arrays of sources', done => {
+    const a = Vue.ref(1)
+    const state = Vue.observable({ nested: { n: 1 }})
+    const refSpy = jasmine.createSpy('ref')
+    const deepSpy = jasmine.createSpy('deep')
+    const arraySpy = jasmine.createSpy('array')
+    const stops = [
+      Vue.watch(a, refSpy, { immediate: true }),
+      Vue.watch(state, deepSpy),
+      Vue.watch([a, () => state.nested.n], arraySpy)
+    ]
+    expect(refSpy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
+    a.value = 2
+    state.nested.n = 2
+    waitForUpdate(() => {
+      expect(refSpy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      expect(deepSpy.calls.count()).toBe(1)
+      expect(arraySpy.calls.argsFor(0).slice(0, 2)).toEqual([[2, 2], [1, 1]])
+      stops.forEach(stop => stop())
+      a.value = 3
+    }).then(() => {
+      expect(refSpy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('should not call the callback when an array of sources has the same values', done => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch([() => state.a, () => state.b], spy)
+    state.a = 3
+    state.a = 1
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      state.b = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0).slice(0, 2)).toEqual([[1, 2], [1, 1]])
+    }).then(done)
+  })
+
+  it('should warn invalid watch sources', () => {
+    Vue.watch(1, () => {})
+    expect('Invalid watch source: 1.').toHaveBeenWarned()
+  })
+
+  it('should warn invalid return values', () => {
+    new Vue({
+      setup: () => 1
+    })
+    expect('setup() should return an object or a render function. Received: Number').toHaveBeenWarned()
+  })
+
+  it('should warn bindings conflicting with props', () => {
+    new Vue({
+      props: ['foo'],
+      setup: () => ({ foo: 1 })
+    })
+    expect('The setup binding "foo" is already declared as a prop.').toHaveBeenWarned()
+  })
+
+  it('should warn reserved binding names', () => {
+    new Vue({
+      setup: () => ({ $foo: 1 })
+    })
+    expect('setup() return property "$foo" should not start with "$" or "_"').toHaveBeenWarned()
+  })
+
+  it('should handle errors thrown in setup', () => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const err = new Error('setup')
+    const vm = new Vue({
+      setup () {
+        throw err
+      }
+    })
+    expect(spy).toHaveBeenCalledWith(err, vm, 'setup function')
+    Vue.config.errorHandler = null
+  })
+})
@@ -22,7 +22,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -42,7 +42,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -61,8 +61,8 @@ describe('Options watch', () => {
     })
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy1).toHaveBeenCalledWith(2, 1)
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy1).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -76,10 +76,10 @@ describe('Options watch', () => {
         }
       }
     })
-    expect(spy).toHaveBeenCalledWith(1)
+    expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -98,10 +98,87 @@ describe('Options watch', () => {
     vm.a.b = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, jasmine.any(Function))
       vm.a = { b: 3 }
     }).then(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+      expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
+    }).then(done)
+  })
+
+  it('with option: deep on Map', done => {
+    const vm = new Vue({
+      data: { map: new Map([['a', { b: 1 }]]) },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      vm.map.set('c', 1)
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('with option: onTrack/onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { map: new Map() },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true,
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'map'
+    }))
+    vm.map.set('a', 1)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.map,
+      type: 'add',
+      key: 'a',
+      newValue: 1
+    }))
+    vm.map.set('a', 2)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+  })
+
+  it('with option: sources', done => {
+    const vm = new Vue({
+      data: { a: 1, b: 2 },
+      watch: {
+        sum: {
+          sources: ['a', 'b'],
+          handler: spy
+        }
+      }
+    })
+    vm.a = 2
+    vm.b = 3
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith([2, 3], [1, 2], jasmine.any(Function))
+      // same values should not trigger the callback
+      vm.a = 3
+      vm.a = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
     }).then(done)
   })
 
@@ -139,8 +216,8 @@ describe('Options watch', () => {
 
     waitForUpdate(() => {
       expect(spy).not.toHaveBeenCalled()
-      expect(spy2).toHaveBeenCalledWith(1, 0)
-      expect(spy3).toHaveBeenCalledWith(1, 0)
+      expect(spy2).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(spy3).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
     }).then(done)
   })
 })
@@ -87,9 +87,12 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('wrap multiple root elements in a fragment', () => {
+    const ast = parse('<div></div> <p></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.tag)).toEqual(['div', 'p'])
+    expect(ast.children[1].parent).toBe(ast)
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,51 +193,31 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('wrap 2 root elements with v-if in a fragment', () => {
+    const ast = parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.if)).toEqual(['1', '2'])
   })
 
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('keep v-if conditions in fragments', () => {
+    const ast = parse('<div v-if="1"></div><p v-else-if="2"></p><span></span><a v-if="3"></a><b v-else></b>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.tag)).toEqual(['div', 'span', 'a'])
+    expect(ast.children[0].ifConditions.map(c => c.block.tag)).toEqual(['div', 'p'])
+    expect(ast.children[2].ifConditions.map(c => c.block.tag)).toEqual(['a', 'b'])
   })
 
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('warn v-else on root element without v-if', () => {
+    parse('<div></div><div v-else></div>', baseOptions)
+    expect('v-else used on element <div> without corresponding v-if.').toHaveBeenWarned()
   })
 
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-        .toHaveBeenWarned()
-  })
-
-  it('warn <template> as root element', () => {
+  it('not warn <template>, <slot> or v-for as root element', () => {
     parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn <slot> as root element', () => {
     parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn v-for on root element', () => {
     parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    expect('as component root element').not.toHaveBeenWarned()
+    expect('on stateful component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
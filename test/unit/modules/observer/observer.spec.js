@@ -355,4 +355,83 @@ describe('Observer', () => {
       expect(obj.__ob__ instanceof Observer).toBe(true)
     })
   })
+
+  it('observing Map mutation', () => {
+    const map = new Map([['a', {}]])
+    const ob = observe(map)
+    expect(ob instanceof Observer).toBe(true)
+    // existing values should be observed
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('b', obj)
+    map.set('b', obj) // same value, no notify
+    map.delete('b')
+    map.delete('b') // missing key, no notify
+    map.set('c', 1)
+    map.clear()
+    map.clear() // already empty, no notify
+    expect(dep.notify.calls.count()).toBe(4)
+    // set values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj)
+    set.delete(obj)
+    expect(dep.notify.calls.count()).toBe(2)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing WeakMap and WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    const mapDep = observe(weakMap).dep
+    const setDep = observe(weakSet).dep
+    spyOn(mapDep, 'notify')
+    spyOn(setDep, 'notify')
+    weakMap.set(key, 1)
+    weakMap.delete(key)
+    weakSet.add(key)
+    weakSet.delete(key)
+    expect(mapDep.notify.calls.count()).toBe(2)
+    expect(setDep.notify.calls.count()).toBe(2)
+  })
+
+  it('collecting deps on Map/Set reads', () => {
+    const map = new Map([['a', [1]]])
+    const set = new Set()
+    observe(map)
+    observe(set)
+    // mock a watcher!
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    map.get('a')
+    set.size
+    Dep.target = null
+    expect(watcher.deps).toContain(map.__ob__.dep)
+    expect(watcher.deps).toContain(map.get('a').__ob__.dep)
+    expect(watcher.deps).toContain(set.__ob__.dep)
+    map.get('a').push(2)
+    expect(watcher.update.calls.count()).toBe(1)
+    set.add(1)
+    expect(watcher.update.calls.count()).toBe(2)
+    map.set('b', 1)
+    expect(watcher.update.calls.count()).toBe(3)
+  })
 })
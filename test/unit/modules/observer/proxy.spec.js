@@ -0,0 +1,158 @@
+import Vue from 'vue'
+import {
+  observe,
+  set as setProp,
+  del as delProp
+} from 'core/observer/index'
+import Watcher from 'core/observer/watcher'
+
+describe('Observer proxy mode', () => {
+  beforeEach(() => {
+    Vue.config.reactivityMode = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivityMode = 'defineProperty'
+  })
+
+  function watch (getter, cb) {
+    const vm = new Vue()
+    return new Watcher(vm, getter, cb, { sync: true })
+  }
+
+  it('create on object', () => {
+    const obj = { a: { b: 1 }}
+    const ob = observe(obj)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.proxy).not.toBe(obj)
+    expect(ob.value).toBe(obj)
+    // keys should not be converted into getter/setters
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    // nested values should be observed and reachable through the proxy
+    expect(ob.proxy.a).toBe(obj.a.__ob__.proxy)
+    expect(observe(ob.proxy)).toBe(ob)
+  })
+
+  it('should track added and deleted keys', () => {
+    const state = observe({}).proxy
+    const spy = jasmine.createSpy()
+    watch(() => state.a, spy)
+    state.a = 1
+    expect(spy).toHaveBeenCalledWith(1, undefined)
+    delete state.a
+    expect(spy).toHaveBeenCalledWith(undefined, 1)
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should track "in" and key enumeration', () => {
+    const state = observe({ a: 1 }).proxy
+    const hasSpy = jasmine.createSpy()
+    const keysSpy = jasmine.createSpy()
+    watch(() => 'b' in state, hasSpy)
+    watch(() => Object.keys(state).join(','), keysSpy)
+    state.b = 2
+    expect(hasSpy).toHaveBeenCalledWith(true, false)
+    expect(keysSpy).toHaveBeenCalledWith('a,b', 'a')
+    delete state.a
+    expect(keysSpy).toHaveBeenCalledWith('b', 'a,b')
+  })
+
+  it('should track nested and array mutations', () => {
+    const state = observe({ list: [1], nested: { msg: 'foo' }}).proxy
+    const spy = jasmine.createSpy()
+    watch(() => state.list.join(',') + state.nested.msg, spy)
+    state.list[1] = 2
+    expect(spy).toHaveBeenCalledWith('1,2foo', '1foo')
+    state.list.length = 0
+    expect(spy).toHaveBeenCalledWith('foo', '1,2foo')
+    state.nested.msg = 'bar'
+    expect(spy).toHaveBeenCalledWith('bar', 'foo')
+    state.nested = { msg: 'baz' }
+    expect(spy).toHaveBeenCalledWith('baz', 'bar')
+    // values are stored raw, not as proxies
+    expect(state.nested.__ob__.value).toEqual({ msg: 'baz' })
+  })
+
+  it('should track Map and Set mutations', () => {
+    const state = observe({ map: new Map(), set: new Set() }).proxy
+    const spy = jasmine.createSpy()
+    watch(() => {
+      return state.map.get('a') + ':' + state.set.size + ':' + state.set.has(1)
+    }, spy)
+    state.map.set('a', 1)
+    expect(spy).toHaveBeenCalledWith('1:0:false', 'undefined:0:false')
+    state.set.add(1)
+    expect(spy).toHaveBeenCalledWith('1:1:true', '1:0:false')
+    state.set.add(1)
+    expect(spy.calls.count()).toBe(2)
+    state.set.clear()
+    expect(spy).toHaveBeenCalledWith('1:0:false', '1:1:true')
+    state.map.delete('a')
+    expect(spy).toHaveBeenCalledWith('undefined:0:false', '1:0:false')
+  })
+
+  it('should make Map values reactive and iteration tracked', () => {
+    const state = observe({ map: new Map([['a', { n: 1 }]]) }).proxy
+    const spy = jasmine.createSpy()
+    watch(() => {
+      let sum = 0
+      state.map.forEach(item => { sum += item.n })
+      return sum
+    }, spy)
+    state.map.get('a').n = 2
+    expect(spy).toHaveBeenCalledWith(2, 1)
+    state.map.set('b', { n: 3 })
+    expect(spy).toHaveBeenCalledWith(5, 2)
+    const keys = []
+    for (const [key] of state.map) {
+      keys.push(key)
+    }
+    expect(keys).toEqual(['a', 'b'])
+  })
+
+  it('should pass debug info to onTrack/onTrigger', () => {
+    const state = observe({ a: 1 }).proxy
+    const raw = state.__ob__.value
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    new Watcher(new Vue(), () => 'b' in state, () => {}, { sync: true, onTrack, onTrigger })
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: raw,
+      type: 'has',
+      key: 'b'
+    }))
+    state.b = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: raw,
+      type: 'add',
+      key: 'b',
+      newValue: 2
+    }))
+  })
+
+  it('Vue.set/delete', () => {
+    const state = observe({ a: 1 }).proxy
+    const spy = jasmine.createSpy()
+    watch(() => state.b, spy)
+    setProp(state, 'b', 2)
+    expect(spy).toHaveBeenCalledWith(2, undefined)
+    delProp(state, 'b')
+    expect(spy).toHaveBeenCalledWith(undefined, 2)
+  })
+
+  it('should work with instance data', done => {
+    const vm = new Vue({
+      template: '<div>{{ Object.keys(obj).join(",") }}</div>',
+      data: { obj: {}}
+    }).$mount()
+    expect(vm.$data).toBe(vm._data)
+    expect(vm.$el.textContent).toBe('')
+    vm.obj.a = 1
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('a')
+      delete vm.obj.a
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('')
+    }).then(done)
+  })
+})
@@ -0,0 +1,116 @@
+import Vue from 'vue'
+import { observe } from 'core/observer/index'
+import { readonly, isReadonly } from 'core/observer/readonly'
+import Watcher from 'core/observer/watcher'
+
+describe('Observer readonly', () => {
+  function watch (getter, cb) {
+    const vm = new Vue()
+    return new Watcher(vm, getter, cb, { sync: true })
+  }
+
+  it('should create a deep readonly view', () => {
+    const raw = { a: 1, nested: { b: 2 }, list: [{ c: 3 }] }
+    const view = readonly(raw)
+    expect(isReadonly(view)).toBe(true)
+    expect(view).not.toBe(raw)
+    expect(readonly(raw)).toBe(view)
+    expect(readonly(view)).toBe(view)
+    expect(isReadonly(view.nested)).toBe(true)
+    expect(isReadonly(view.list[0])).toBe(true)
+    expect(view.nested.b).toBe(2)
+
+    view.a = 2
+    expect('Set operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+    view.nested.b = 3
+    expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+    delete view.a
+    expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+    view.list.push(1)
+    expect('Set operation on key "1" failed: target is readonly.').toHaveBeenWarned()
+    expect('Set operation on key "length" failed: target is readonly.').toHaveBeenWarned()
+    expect(raw).toEqual({ a: 1, nested: { b: 2 }, list: [{ c: 3 }] })
+  })
+
+  it('should leave non-plain values alone', () => {
+    const date = new Date()
+    const frozen = Object.freeze({ a: 1 })
+    expect(readonly(1)).toBe(1)
+    expect(readonly(date)).toBe(date)
+    expect(readonly(frozen)).toBe(frozen)
+  })
+
+  it('should still track dependencies', () => {
+    const raw = { nested: { msg: 'foo' }}
+    observe(raw)
+    const view = readonly(raw)
+    const spy = jasmine.createSpy()
+    watch(() => view.nested.msg, spy)
+    raw.nested.msg = 'bar'
+    expect(spy).toHaveBeenCalledWith('bar', 'foo')
+  })
+
+  it('should block Vue.set/delete', () => {
+    const raw = { a: 1 }
+    observe(raw)
+    const view = readonly(raw)
+    Vue.set(view, 'b', 2)
+    expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+    Vue.delete(view, 'a')
+    expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+    expect(raw).toEqual({ a: 1 })
+  })
+
+  it('should block collection mutations', () => {
+    const map = new Map([['a', { n: 1 }]])
+    observe(map)
+    const view = readonly(map)
+    expect(view.size).toBe(1)
+    expect(view.has('a')).toBe(true)
+    expect(isReadonly(view.get('a'))).toBe(true)
+    view.forEach(item => {
+      expect(isReadonly(item)).toBe(true)
+    })
+    for (const [, item] of view) {
+      expect(isReadonly(item)).toBe(true)
+    }
+    view.set('b', 1)
+    expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+    view.delete('a')
+    expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+    expect(map.size).toBe(1)
+
+    const spy = jasmine.createSpy()
+    watch(() => view.size, spy)
+    map.set('c', 3)
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+
+  it('should throw with config.strictReadonly', () => {
+    Vue.config.strictReadonly = true
+    const view = readonly({ nested: { a: 1 }})
+    expect(() => {
+      view.nested.a = 2
+    }).toThrowError('Set operation on key "a" failed: target is readonly.')
+    Vue.config.strictReadonly = false
+  })
+
+  it('should work in proxy mode', () => {
+    Vue.config.reactivityMode = 'proxy'
+    const state = observe({ nested: {}}).proxy
+    Vue.config.reactivityMode = 'defineProperty'
+    const view = readonly(state)
+    const spy = jasmine.createSpy()
+    watch(() => view.nested.msg, spy)
+    state.nested.msg = 'foo'
+    expect(spy).toHaveBeenCalledWith('foo', undefined)
+    view.nested.msg = 'bar'
+    expect('Set operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+    expect(state.nested.msg).toBe('foo')
+  })
+
+  it('Vue.readonly', () => {
+    const view = Vue.readonly({ a: 1 })
+    expect(isReadonly(view)).toBe(true)
+  })
+})
@@ -126,6 +126,51 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should report the trigger chain of an infinite update loop', done => {
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(
+        'watcher "a" of <Root> was triggered by "a" (set) changed in watcher "b" of <Root>\n' +
+        '  watcher "b" of <Root> was triggered by "b" (set) changed in watcher "a" of <Root>'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should respect config.maxUpdateCount and config.warnHandler', done => {
+    const warnHandler = Vue.config.warnHandler = jasmine.createSpy('warnHandler')
+    Vue.config.maxUpdateCount = 10
+    let count = 0
+    const vm = new Vue({
+      data: { n: 0 },
+      render (h) {
+        count++
+        return h('div', this.n++)
+      }
+    }).$mount()
+    count = 0
+    vm.n++
+    waitForUpdate(() => {
+      expect(count).toBe(11)
+      expect(warnHandler).toHaveBeenCalledWith(
+        jasmine.stringMatching(
+          'infinite update loop in a component render function.\nTrigger chain:\n' +
+          '  render function of <Root> was triggered by "n" \\(set\\) changed in render function of <Root>'
+        ),
+        vm,
+        jasmine.any(String)
+      )
+      Vue.config.maxUpdateCount = MAX_UPDATE_COUNT
+      Vue.config.warnHandler = null
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
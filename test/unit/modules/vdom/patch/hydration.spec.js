@@ -342,4 +342,82 @@ describe('vdom patch: hydration', () => {
     }).$mount(dom)
     expect('not matching server-rendered content').not.toHaveBeenWarned()
   })
+
+  it('should hydrate fragments', done => {
+    const dom = createMockSSRDOM('<!--[--><span>a</span><!--[--><b>1</b><b>2</b><!--]--><!--]--><p>end</p>')
+    const span = dom.querySelector('span')
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: `<div><test :msg="msg"/><p>end</p></div>`,
+      components: {
+        test: {
+          props: ['msg'],
+          template: `<span>{{ msg }}</span><inner/>`,
+          components: {
+            inner: { template: `<b>1</b><b>2</b>` }
+          }
+        }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(dom.firstChild)
+    expect(vm.$el.querySelector('span')).toBe(span)
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><span>b</span><!--[--><b>1</b><b>2</b><!--]--><!--]--><p>end</p>')
+    }).then(done)
+  })
+
+  it('should hydrate portals', done => {
+    const target = document.createElement('div')
+    target.id = 'hydrate-portal-target'
+    target.innerHTML = '<b>existing</b><!--[--><p>a</p><!--]--><!--[--><i>b</i><!--]-->'
+    document.body.appendChild(target)
+    const p = target.querySelector('p')
+    const dom = createMockSSRDOM('<!--[--><!--]--><!--[--><!--]--><span>end</span>')
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: '<div>' +
+        '<portal to="#hydrate-portal-target"><p>{{ msg }}</p></portal>' +
+        '<portal to="#hydrate-portal-target"><i>b</i></portal>' +
+        '<span>end</span>' +
+      '</div>'
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(target.querySelector('p')).toBe(p)
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<b>existing</b><!--[--><p>c</p><!--]--><!--[--><i>b</i><!--]-->')
+      vm.$destroy()
+      expect(target.innerHTML).toBe('<b>existing</b>')
+      document.body.removeChild(target)
+    }).then(done)
+  })
+
+  it('should hydrate suspense content in place', done => {
+    const dom = createMockSSRDOM('<!--[--><!--[--><p>a</p><!--]--><!--]--><span>end</span>')
+    const p = dom.querySelector('p')
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: '<div><suspense><p>{{ msg }}</p><i slot="fallback">loading</i></suspense><span>end</span></div>'
+    }).$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(dom.querySelector('p')).toBe(p)
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><!--[--><p>b</p><!--]--><!--]--><span>end</span>')
+    }).then(done)
+  })
+
+  it('should replace mismatching fragments', () => {
+    const dom = createMockSSRDOM('<!--[--><span>a</span><i>b</i><!--]--><p>end</p>')
+    new Vue({
+      template: `<div><test/><p>end</p></div>`,
+      components: {
+        test: { template: `<span>a</span><b>b</b>` }
+      }
+    }).$mount(dom)
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(dom.innerHTML).toBe('<!--[--><span>a</span><b>b</b><!--]--><p>end</p>')
+  })
 })
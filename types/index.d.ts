@@ -3,12 +3,18 @@ import { Vue } from "./vue";
 export default Vue;
 
 export {
-  CreateElement
+  CreateElement,
+  Ref,
+  WatchSource,
+  ComputedRef,
+  WritableComputedRef
 } from "./vue";
 
 export {
   Component,
   AsyncComponent,
+  AsyncComponentOptions,
+  AsyncComponentRetryOptions,
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
@@ -17,6 +23,10 @@ export {
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  DebuggerEvent,
+  EmitsOptions,
+  SetupContext,
+  RootConfig,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
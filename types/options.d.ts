@@ -1,5 +1,5 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
-import { VNode, VNodeData, VNodeDirective } from "./vnode";
+import { VNode, VNodeData, VNodeDirective, VNodeChildrenArrayContents, ScopedSlot } from "./vnode";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -16,10 +16,26 @@ interface EsModuleComponent {
   default: Component
 }
 
+export interface AsyncComponentRetryOptions {
+  attempts?: number;
+  delay?: number;
+  backoff?: 'fixed' | 'linear' | 'exponential' | ((attempt: number) => number);
+  onError?(error: any, retry: () => void, fail: () => void, attempts: number): void;
+}
+
+export interface AsyncComponentOptions {
+  component: Promise<Component | EsModuleComponent>;
+  loading?: Component | EsModuleComponent;
+  error?: Component | EsModuleComponent;
+  delay?: number;
+  timeout?: number;
+  retry?: number | boolean | AsyncComponentRetryOptions;
+}
+
 export type AsyncComponent<Data=DefaultData<Vue>, Methods=DefaultMethods<Vue>, Computed=DefaultComputed, Props=DefaultProps> = (
   resolve: (component: Component<Data, Methods, Computed, Props>) => void,
   reject: (reason?: any) => void
-) => Promise<Component | EsModuleComponent> | void;
+) => Promise<Component | EsModuleComponent> | AsyncComponentOptions | void;
 
 /**
  * When the `Computed` type parameter on `ComponentOptions` is inferred,
@@ -58,6 +74,7 @@ export interface ComponentOptions<
   Computed=DefaultComputed,
   PropsDef=PropsDefinition<DefaultProps>> {
   data?: Data;
+  asyncData?(this: V, vm: V): object | Promise<object>;
   props?: PropsDef;
   propsData?: Object;
   computed?: Accessors<Computed>;
@@ -66,7 +83,7 @@ export interface ComponentOptions<
 
   el?: Element | String;
   template?: string;
-  render?(createElement: CreateElement): VNode;
+  render?(createElement: CreateElement): VNode | VNodeChildrenArrayContents;
   renderError?: (h: () => VNode, err: Error) => VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -81,6 +98,8 @@ export interface ComponentOptions<
   activated?(): void;
   deactivated?(): void;
   errorCaptured?(): boolean | void;
+  renderTracked?(e: DebuggerEvent): void;
+  renderTriggered?(e: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -90,6 +109,10 @@ export interface ComponentOptions<
   provide?: Object | (() => Object);
   inject?: InjectOptions;
 
+  emits?: EmitsOptions;
+
+  setup?(props: Record<string, any>, context: SetupContext): object | ((createElement: CreateElement) => VNode) | Promise<object | ((createElement: CreateElement) => VNode)> | void;
+
   model?: {
     prop?: string;
     event?: string;
@@ -103,6 +126,24 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  config?: RootConfig;
+}
+
+export interface RootConfig {
+  errorHandler?: ((err: Error, vm: Vue, info: string) => void) | null;
+  warnHandler?: ((msg: string, vm: Vue, trace: string) => void) | null;
+  ignoredElements?: (string | RegExp)[];
+  keyCodes?: { [key: string]: number | number[] };
+}
+
+export type EmitsOptions = string[] | { [event: string]: ((...args: any[]) => boolean) | null };
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: VNode[] };
+  readonly scopedSlots: { [key: string]: ScopedSlot };
+  emit(event: string, ...args: any[]): void;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -130,7 +171,14 @@ export interface PropOptions<T=any> {
   type?: Prop<T> | Prop<T>[];
   required?: boolean;
   default?: T | null | undefined | (() => object);
-  validator?(value: T): boolean;
+  validator?(value: T): boolean | string | Promise<boolean | string>;
+  readonly?: boolean;
+  coerce?(value: any): T;
+  oneOf?: any[];
+  instanceOf?: { new (...args: any[]): any };
+  arrayOf?: PropValidator<any>;
+  objectOf?: PropValidator<any>;
+  shape?: { [key: string]: PropValidator<any> };
 }
 
 export type RecordPropsDefinition<T> = {
@@ -143,17 +191,31 @@ export interface ComputedOptions<T> {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
+  equals?(a: T, b: T): boolean;
 }
 
-export type WatchHandler<T> = (val: T, oldVal: T) => void;
+export type WatchHandler<T> = (val: T, oldVal: T, onCleanup: (fn: () => void) => void) => void;
 
 export interface WatchOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: "pre" | "post" | "sync";
+  onTrack?(e: DebuggerEvent): void;
+  onTrigger?(e: DebuggerEvent): void;
+}
+
+export interface DebuggerEvent {
+  effect: any;
+  target: any;
+  type: "get" | "has" | "iterate" | "set" | "add" | "delete" | "clear" | "array mutation";
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
   handler: WatchHandler<T>;
+  sources?: (string | (() => any))[];
 }
 
 export type DirectiveFunction = (
@@ -174,5 +236,5 @@ export interface DirectiveOptions {
 export type InjectKey = string | symbol;
 
 export type InjectOptions = {
-  [key: string]: InjectKey | { from?: InjectKey, default?: any }
+  [key: string]: InjectKey | { from?: InjectKey, default?: any, readonly?: boolean, reactive?: boolean }
 } | string[];
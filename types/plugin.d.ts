@@ -4,5 +4,6 @@ export type PluginFunction<T> = (Vue: typeof _Vue, options?: T) => void;
 
 export interface PluginObject<T> {
   install: PluginFunction<T>;
+  uninstall?: PluginFunction<T>;
   [key: string]: any;
 }
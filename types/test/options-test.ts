@@ -81,6 +81,32 @@ Vue.component('component', {
       type: String,
       default: '0',
       required: true,
+    },
+    user: {
+      type: Object,
+      readonly: true
+    },
+    count: {
+      type: Number,
+      coerce: (value: string) => Number(value),
+      validator: (value: number) => value >= 0 || "must not be negative"
+    },
+    mode: {
+      type: String,
+      oneOf: ["a", "b"]
+    },
+    date: {
+      instanceOf: Date,
+      validator: (value: Date) => Promise.resolve(true)
+    },
+    items: {
+      type: Array,
+      arrayOf: {
+        shape: {
+          id: { type: Number, required: true },
+          tags: { objectOf: String }
+        }
+      }
     }
   },
   propsData: {
@@ -98,6 +124,14 @@ Vue.component('component', {
         this.a = v - 1;
       },
       cache: false
+    },
+    aList: {
+      get(): number[] {
+        return [this.a];
+      },
+      equals(a: number[], b: number[]) {
+        return a[0] === b[0];
+      }
     }
   },
   methods: {
@@ -118,6 +152,10 @@ Vue.component('component', {
         this.a = val
       },
       deep: true
+    },
+    'ab': {
+      sources: ['a', 'b'],
+      handler(vals, oldVals) {}
     }
   },
   el: "#app",
@@ -190,6 +228,12 @@ Vue.component('component', {
   errorCaptured() {
     return true
   },
+  renderTracked(e) {
+    e.type;
+  },
+  renderTriggered(e) {
+    e.oldValue;
+  },
 
   directives: {
     a: {
@@ -236,10 +280,63 @@ Vue.component('provide-inject', {
     injectBar: Symbol(),
     injectBaz: { from: 'baz' },
     injectQux: { default: 1 },
-    injectQuux: { from: 'quuz', default: () => ({ value: 1 })}
+    injectQuux: { from: 'quuz', default: () => ({ value: 1 })},
+    injectCorge: { from: 'corge', readonly: true },
+    injectGrault: { from: 'grault', reactive: true }
+  }
+})
+
+Vue.component('emits-array', {
+  emits: ['change', 'update']
+})
+
+Vue.component('emits-object', {
+  emits: {
+    change: null,
+    update: (value: number) => value > 0
+  }
+})
+
+Vue.component('setup', {
+  props: ['initial'],
+  setup (props, { emit, attrs, slots }) {
+    const count = Vue.ref<number>(props.initial);
+    const double = Vue.computed(() => count.value * 2);
+    Vue.watch(count, (value, oldValue) => emit('change', value, oldValue));
+    Vue.onMounted(() => {});
+    Vue.onUnmounted(() => {});
+    return { count, double };
   }
 })
 
+Vue.component('setup-render', {
+  setup () {
+    return (h: CreateElement) => h('div');
+  }
+})
+
+Vue.component('async-setup', {
+  async setup () {
+    return { msg: Vue.ref('hi') };
+  }
+})
+
+Vue.component('async-data', {
+  data: () => ({ msg: '' }),
+  asyncData () {
+    return Promise.resolve({ msg: 'loaded' });
+  }
+})
+
+new Vue({
+  config: {
+    errorHandler(err, vm, info) {},
+    warnHandler: null,
+    ignoredElements: ["foo", /^bar-/],
+    keyCodes: { enter: 13, arrows: [37, 38, 39, 40] }
+  }
+});
+
 Vue.component('provide-function', {
   provide: () => ({
     foo: 1
@@ -305,6 +402,12 @@ Vue.component('functional-component-object-inject', {
   }
 })
 
+Vue.component('fragment', {
+  render(h) {
+    return [h('td'), 'text', [h('td')]]
+  }
+})
+
 Vue.component("async-component", ((resolve, reject) => {
   setTimeout(() => {
     resolve(Vue.component("component"));
@@ -315,3 +418,23 @@ Vue.component("async-component", ((resolve, reject) => {
 }));
 
 Vue.component('async-es-module-component', () => import('./es-module'))
+
+const AsyncRetryComponent = () => ({
+  component: import('./es-module'),
+  error: { template: '<div>error</div>' },
+  timeout: 3000,
+  retry: {
+    attempts: 3,
+    delay: 500,
+    backoff: (attempt: number) => attempt * 500,
+    onError(err: any, retry: () => void, fail: () => void, attempts: number) {
+      attempts < 3 ? retry() : fail();
+    }
+  }
+});
+Vue.component('async-retry-component', AsyncRetryComponent);
+Vue.component('async-retry-count-component', () => ({
+  component: import('./es-module'),
+  retry: 2
+}));
+Vue.resetAsyncComponent(AsyncRetryComponent);
@@ -11,10 +11,19 @@ const plugin: PluginObject<Option> = {
     if (typeof option !== "undefined") {
       const {prefix, suffix} = option;
     }
-  }
+  },
+  uninstall(Vue, option) {}
 }
 const installer: PluginFunction<Option> = function(Vue, option) { }
 
 Vue.use(plugin, new Option);
 Vue.use(installer, new Option);
 Vue.use(installer, new Option, new Option, new Option);
+Vue.unuse(plugin, new Option);
+Vue.unuse(installer);
+
+const App = Vue.createApp();
+App.use(plugin, new Option);
+App.component("foo", { template: "<div></div>" });
+App.prototype.$foo = 1;
+new App({ el: "#app" });
@@ -40,9 +40,19 @@ class Test extends Vue {
     this.$delete({}, "key");
     this.$watch("a", (val: number, oldVal: number) => {}, {
       immediate: true,
-      deep: false
+      deep: false,
+      flush: "post"
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", (val, oldVal, onCleanup) => {
+      onCleanup(() => {});
+    });
+    this.$watch(["a", () => this.a], (vals: any[], oldVals: any[]) => {});
+    this.$watch("a", () => {}, {
+      onTrack(e) { e.target; e.key; },
+      onTrigger(e) { e.type === "set" && e.newValue; }
+    });
+    this.$invalidate("a");
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -73,6 +83,10 @@ class Test extends Vue {
     };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
+    config.reactivityMode = "proxy";
+    config.strictReadonly = true;
+    config.strictMixinConflicts = true;
+    config.maxUpdateCount = 200;
   }
 
   static testMethods() {
@@ -89,6 +103,19 @@ class Test extends Vue {
     this.set([true, false, true], 1, true);
     this.delete({}, "");
     this.delete([true, false], 0);
+    const state = this.observable({ count: 0 });
+    const double = this.computed(() => state.count * 2);
+    const n: number = double.value;
+    const writable = this.computed({
+      get: () => state.count,
+      set: (value: number) => { state.count = value; }
+    });
+    writable.value = 1;
+    double.stop();
+    const stop: () => void = this.watchEffect(() => { state.count; });
+    stop();
+    const frozen = this.readonly({ count: 0 });
+    const count: number = frozen.count;
     this.directive("", {bind() {}});
     this.filter("", (value: number) => value);
     this.component("", { data: () => ({}) });
@@ -23,6 +23,8 @@ export interface VNode {
   isStatic?: boolean;
   isRootInsert: boolean;
   isComment: boolean;
+  isFragment: boolean;
+  anchor?: Node;
 }
 
 export interface VNodeComponentOptions {
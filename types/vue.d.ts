@@ -44,14 +44,20 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, onCleanup: (fn: () => void) => void) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, onCleanup: (fn: () => void) => void) => void,
     options?: WatchOptions
   ): (() => void);
+  $watch(
+    sources: (string | ((this: this) => any))[],
+    callback: (this: this, n: any[], o: any[], onCleanup: (fn: () => void) => void) => void,
+    options?: WatchOptions
+  ): (() => void);
+  $invalidate(key: string): void;
   $on(event: string | string[], callback: Function): this;
   $once(event: string, callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
@@ -64,6 +70,22 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> = Instance & Data & Methods & Computed & Props;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface Ref<T> {
+  value: T;
+}
+
+export interface ComputedRef<T> {
+  readonly value: T;
+  stop(): void;
+}
+
+export type WatchSource<T> = Ref<T> | ComputedRef<T> | (() => T);
+
+export interface WritableComputedRef<T> {
+  value: T;
+  stop(): void;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contains Props, not Record<keyof Props, any>. But TS requires Base constructors must all have the same return type.
@@ -82,6 +104,31 @@ export interface VueConstructor<V extends Vue = Vue> {
   set<T>(array: T[], key: number, value: T): T;
   delete(object: Object, key: string): void;
   delete<T>(array: T[], key: number): void;
+  observable<T>(obj: T): T;
+  ref<T>(value: T): Ref<T>;
+  isRef(value: any): boolean;
+  computed<T>(getter: () => T): ComputedRef<T>;
+  computed<T>(options: { get(): T; set(value: T): void }): WritableComputedRef<T>;
+  watch<T>(
+    source: WatchSource<T> | WatchSource<any>[] | object,
+    callback: (value: T, oldValue: T, onCleanup: (fn: () => void) => void) => void,
+    options?: WatchOptions
+  ): () => void;
+  watchEffect(effect: () => void): () => void;
+  readonly<T>(obj: T): Readonly<T>;
+  resetAsyncComponent(factory: AsyncComponent<any, any, any, any>): void;
+
+  onBeforeMount(hook: () => void): void;
+  onMounted(hook: () => void): void;
+  onBeforeUpdate(hook: () => void): void;
+  onUpdated(hook: () => void): void;
+  onBeforeUnmount(hook: () => void): void;
+  onUnmounted(hook: () => void): void;
+  onActivated(hook: () => void): void;
+  onDeactivated(hook: () => void): void;
+  onErrorCaptured(hook: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onRenderTracked(hook: (e: any) => void): void;
+  onRenderTriggered(hook: (e: any) => void): void;
 
   directive(
     id: string,
@@ -100,6 +147,9 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   use<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): void;
   use(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): void;
+  unuse<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): void;
+  unuse(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): void;
+  createApp(): VueConstructor<V>;
   mixin(mixin: VueConstructor | ComponentOptions<Vue>): void;
   compile(template: string): {
     render(createElement: typeof Vue.prototype.$createElement): VNode;
@@ -116,6 +166,10 @@ export interface VueConstructor<V extends Vue = Vue> {
     warnHandler(msg: string, vm: Vue, trace: string): void;
     ignoredElements: (string | RegExp)[];
     keyCodes: { [key: string]: number | number[] };
+    reactivityMode: "defineProperty" | "proxy";
+    strictReadonly: boolean;
+    strictMixinConflicts: boolean;
+    maxUpdateCount: number;
   }
 }
 